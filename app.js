@@ -1,20 +1,39 @@
-require("dotenv").config();
+// Builds the Express app (middleware + routes) without connecting to MongoDB or listening on a port.
+// server.js starts it for real; tests import it directly.
+const config = require("./config"); // loads .env and stops here if a setting is missing or invalid
 const express = require("express");
-const mongoose = require("mongoose");
 const cors = require("cors");
-const authRoute = require("./routes/auth");
+const querystring = require("querystring");
+const routes = require("./routes");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+const securityHeaders = require("./middleware/securityHeaders");
+const { requestLogger, markMountPath } = require("./middleware/requestLogger");
+const httpMetrics = require("./middleware/metrics");
+const { sanitizeBody, stripForbiddenKeys } = require("./middleware/sanitize");
+const rateLimit = require("./middleware/rateLimiter");
+const RATE_LIMITS = require("./config/rateLimits");
+const { ForbiddenError } = require("./utils/errors");
+const { logger } = require("./utils/logger");
 const app = express();
-const PORT = process.env.PORT || 5000;
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Which proxies' X-Forwarded-For gives the client IP (TRUST_PROXY, see config/schema.js). Rate limiting depends on it.
+app.set("trust proxy", config.trustProxy);
 
-// CORS - Multiple origins for both local and production
-const allowedOrigins = [
-  "http://localhost:5177", // Vite default port
-  "https://leadway-frontend-yqdj.vercel.app", // Your deployed frontend
-  process.env.FRONTEND_URL, // Additional environment variable
-].filter(Boolean); // Remove undefined values
+// Request id, access log and metrics. First, so even requests refused below are counted.
+app.use(requestLogger());
+app.use(httpMetrics);
+
+// ==================== SECURITY ===============
+app.disable("x-powered-by"); // don't advertise Express
+app.use(securityHeaders);
+
+// Same "$"/"." key stripping for the query string as for the body (see middleware/sanitize.js)
+app.set("query parser", (queryString) =>
+  stripForbiddenKeys(querystring.parse(queryString))
+);
+
+// CORS - FRONTEND_URL plus the extra origins in CORS_ORIGINS (see config/schema.js)
+const allowedOrigins = config.cors.origins;
 
 app.use(
   cors({
@@ -26,45 +45,55 @@ app.use(
       if (allowedOrigins.includes(origin)) {
         callback(null, true);
       } else {
-        console.log(`CORS blocked origin: ${origin}`); // ✅ Fixed
-        callback(new Error(`Origin ${origin} not allowed by CORS`)); // ✅ Fixed
+        logger.warn("CORS blocked origin", { origin });
+        // Goes to errorHandler like any other error → 403 CORS_ORIGIN_DENIED
+        callback(
+          new ForbiddenError(
+            `Origin ${origin} not allowed by CORS`,
+            "CORS_ORIGIN_DENIED"
+          )
+        );
       }
     },
     credentials: true,
+    exposedHeaders: ["X-Request-Id"], // so the frontend can show it in error reports
   })
 );
 
-// Routes
-app.use("/api/auth", authRoute);
-app.get("/", (req, res) => res.send("API running"));
+// Safety net for every API route, on top of the tighter per-route limits.
+// After CORS so the frontend can read the 429.
+app.use(
+  "/api",
+  rateLimit({
+    ...RATE_LIMITS.global,
+    message: "Too many requests, please try again later",
+  })
+);
 
-const start = async () => {
-  try {
-    await mongoose.connect(process.env.MONGO_URL, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    console.log("Database connected");
+// Our bodies are small (a few fields), so anything bigger is refused with 413 before it's parsed
+const BODY_SIZE_LIMIT = config.bodySizeLimit;
+app.use(express.json({ limit: BODY_SIZE_LIMIT }));
+app.use(
+  express.urlencoded({
+    extended: true,
+    limit: BODY_SIZE_LIMIT,
+    parameterLimit: 100,
+  })
+);
+app.use(sanitizeBody);
 
-    const server = app.listen(PORT, () => {
-      console.log(`Server is running on PORT ${PORT}`); // ✅ Fixed
-    });
+// Routes, listed in routes/index.js (markMountPath is for the route in the access log)
+for (const { path, router } of routes) {
+  app.use(path, markMountPath, router);
+}
 
-    process.on("SIGINT", async () => {
-      console.log("SIGINT received. Closing server and DB connection...");
-      await mongoose.disconnect();
-      server.close(() => process.exit(0));
-    });
+// Must come after every route
+app.use(notFound);
+app.use(errorHandler);
 
-    process.on("SIGTERM", async () => {
-      console.log("SIGTERM received. Closing server and DB connection...");
-      await mongoose.disconnect();
-      server.close(() => process.exit(0));
-    });
-  } catch (err) {
-    console.error("Startup error:", err);
-    process.exit(1);
-  }
-};
+module.exports = app;
 
-start();
+// `node app.js` keeps working for existing deploy scripts
+if (require.main === module) {
+  require("./server");
+}
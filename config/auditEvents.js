@@ -0,0 +1,39 @@
+// Security events written to the audit log (models/auditEvent.js). Names are stable: they end up in
+// exports and compliance reports.
+
+const AUDIT_EVENT_TYPES = [
+  // Account lifecycle
+  "signup",
+  "verification_resend",
+  "email_verification",
+  "account_deletion_request",
+
+  // Signing in and out. "signin" metadata.method: password, 2fa, magic_link or oauth
+  "signin",
+  "signin_challenge", // password (or magic link, provider) was right, a 2FA code is still needed
+  "magic_link_request",
+  "token_refresh",
+  "logout",
+  "logout_all",
+  "session_revoke",
+
+  // Profile and credentials
+  "profile_access",
+  "profile_update",
+  "password_reset_request",
+  "password_reset",
+  "password_change",
+  "email_change_request",
+  "email_change",
+  "two_factor_enable",
+  "two_factor_disable",
+
+  // Done by an admin to someone else's account (`actor` is the admin)
+  "user_role_change",
+  "user_verification_change",
+  "user_status_change",
+];
+
+const AUDIT_OUTCOMES = ["success", "failure"];
+
+module.exports = { AUDIT_EVENT_TYPES, AUDIT_OUTCOMES };
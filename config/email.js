@@ -1,22 +1,110 @@
-const nodemailer = require("nodemailer"); // This loads the Nodemailer package into your file. Nodemailer is the library that lets Node.js send emails through SMTP (in this case, Gmail).
-
-const transporter = nodemailer.createTransport({
-  // sets up the connection to Gmail’s SMTP servers.
-  service: "gmail", // tells Nodemailer you’re using Gmail. (You could also use "hotmail", "yahoo", or a custom SMTP server).
-  auth: {
-    // login credentials:
-    user: process.env.EMAIL_USER, // your Gmail address (loaded from .env).
-    pass: process.env.EMAIL_PASS, // your App Password (16-character one you generated), also from .env.
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer"); // Nodemailer is the library that lets Node.js send emails (SMTP, Gmail, ...).
+const config = require("./index");
+
+// EMAIL_TRANSPORT picks how emails leave the app:
+//   gmail  → Gmail with EMAIL_USER + EMAIL_PASS (App Password). Default, what production used so far.
+//   smtp   → any SMTP server: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   json   → nothing is sent, each email is printed to the console as JSON (local development)
+//   file   → nothing is sent, each email is written as a JSON file to EMAIL_OUTPUT_DIR (local development)
+//   memory → nothing is sent, emails are kept in memory so tests can check them. Default when NODE_ENV=test.
+const transportName = config.email.transport;
+
+// Emails captured by the memory transport, oldest first.
+const sentEmails = [];
+
+// Nodemailer custom transport: builds the message like a real one would, then just stores it.
+const memoryTransport = {
+  name: "memory",
+  version: "1.0.0",
+  send(mail, callback) {
+    const { from, to, subject, html, text } = mail.data;
+    sentEmails.push({ from, to, subject, html, text });
+    callback(null, {
+      envelope: mail.message.getEnvelope(),
+      messageId: mail.message.messageId(),
+    });
+  },
+};
+
+// Same idea, but every email ends up in its own file so it can be opened while developing.
+const fileTransport = (outputDir) => ({
+  name: "file",
+  version: "1.0.0",
+  send(mail, callback) {
+    const { from, to, subject, html, text } = mail.data;
+    const messageId = mail.message.messageId();
+    const fileName = `${Date.now()}-${subject
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")}.json`;
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.writeFile(
+      path.join(outputDir, fileName),
+      JSON.stringify({ messageId, from, to, subject, html, text }, null, 2),
+      (err) =>
+        callback(err, { envelope: mail.message.getEnvelope(), messageId })
+    );
   },
 });
 
-transporter.verify((error, success) => {
-  if (error) {
-    console.log(error);
-  } else {
-    console.log("Ready for messages");
-    console.log(success);
+const createTransport = (name) => {
+  switch (name) {
+    case "gmail":
+      return nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: config.email.user, // your Gmail address (EMAIL_USER in .env).
+          pass: config.email.pass, // your App Password (16-character one you generated), EMAIL_PASS in .env.
+        },
+      });
+    case "smtp":
+      return nodemailer.createTransport({
+        host: config.email.smtp.host,
+        port: config.email.smtp.port,
+        secure: config.email.smtp.secure,
+        auth: config.email.smtp.user
+          ? { user: config.email.smtp.user, pass: config.email.smtp.pass }
+          : undefined,
+      });
+    case "json":
+      return nodemailer.createTransport({ jsonTransport: true });
+    case "file":
+      return nodemailer.createTransport(fileTransport(config.email.outputDir));
+    case "memory":
+      return nodemailer.createTransport(memoryTransport);
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}"`);
   }
-});
+};
+
+const transporter = createTransport(transportName);
+
+// Result of the last verifyTransport(): { ok, error, checkedAt }. null until the first check.
+let lastVerification = null;
+
+// Checks the SMTP/Gmail login works. Called at startup (not on import, so tests and scripts stay offline)
+// and by GET /health/ready. The local transports have nothing to check.
+const verifyTransport = async () => {
+  if (!["gmail", "smtp"].includes(transportName)) {
+    return true;
+  }
+  try {
+    await transporter.verify();
+    lastVerification = { ok: true, checkedAt: new Date() };
+    return true;
+  } catch (err) {
+    lastVerification = { ok: false, error: err.message, checkedAt: new Date() };
+    throw err;
+  }
+};
 
-module.exports = transporter; // This makes transporter available in other files.
+module.exports = {
+  transporter,
+  transportName,
+  verifyTransport,
+  lastTransportVerification: () => lastVerification,
+  sentEmails,
+  clearSentEmails: () => sentEmails.splice(0, sentEmails.length),
+};
@@ -0,0 +1,8 @@
+// The API's settings, loaded from the environment (and .env) once, at startup:
+//   const config = require("../config");
+//   await mongoose.connect(config.mongoUrl);
+// config/schema.js lists every setting. Nothing else should read process.env.
+require("dotenv").config({ quiet: true });
+const { loadConfig } = require("./schema");
+
+module.exports = loadConfig(process.env);
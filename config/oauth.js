@@ -0,0 +1,50 @@
+// OpenID Connect providers for "Sign in with ...". Everything comes from the environment (validated in
+// config/schema.js) so the flow can point at a local mock OIDC server in development and tests.
+//
+// OAUTH_GOOGLE_CLIENT_ID / OAUTH_GOOGLE_CLIENT_SECRET   → from the Google Cloud console (provider is off without them)
+// OAUTH_GOOGLE_REDIRECT_URI                             → frontend page Google sends the user back to
+// OAUTH_GOOGLE_ISSUER                                   → defaults to https://accounts.google.com
+// OAUTH_GOOGLE_DISCOVERY_URL                            → defaults to <issuer>/.well-known/openid-configuration
+// OAUTH_GOOGLE_AUTHORIZATION_ENDPOINT, OAUTH_GOOGLE_TOKEN_ENDPOINT, OAUTH_GOOGLE_JWKS_URI
+//                                                       → optional, override what discovery returns
+
+const config = require("./index");
+
+const providerFromConfig = (name, defaults) => {
+  const settings = config.oauth[name];
+  const issuer = settings.issuer || defaults.issuer;
+
+  return {
+    name,
+    clientId: settings.clientId,
+    clientSecret: settings.clientSecret,
+    redirectUri:
+      settings.redirectUri || `${config.urls.frontend}/oauth/${name}/callback`,
+    issuer,
+    // Extra issuer values accepted in ID tokens (Google uses both forms)
+    allowedIssuers: [issuer, ...(defaults.extraIssuers || [])],
+    discoveryUrl:
+      settings.discoveryUrl || `${issuer}/.well-known/openid-configuration`,
+    authorizationEndpoint: settings.authorizationEndpoint,
+    tokenEndpoint: settings.tokenEndpoint,
+    jwksUri: settings.jwksUri,
+    scope: "openid email profile",
+  };
+};
+
+const providers = {
+  google: providerFromConfig("google", {
+    issuer: "https://accounts.google.com",
+    extraIssuers: ["accounts.google.com"],
+  }),
+};
+
+// Returns the provider config, or null when it doesn't exist or has no client id configured.
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(providers, name)
+    ? providers[name]
+    : null;
+  return provider && provider.clientId ? provider : null;
+};
+
+module.exports = { getProvider };
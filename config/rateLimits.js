@@ -0,0 +1,45 @@
+// Rate limits per route (see middleware/rateLimiter.js). Each one can be changed without a deploy via
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MINUTES, e.g. RATE_LIMIT_SIGNUP_MAX=20
+// (validated with the rest of the settings, see config/schema.js).
+
+const config = require("./index");
+
+const limit = (name, defaults) => {
+  const { windowMinutes, max } = {
+    ...defaults,
+    ...config.rateLimitOverrides[name],
+  };
+  return { windowMs: windowMinutes * 60 * 1000, max };
+};
+
+module.exports = {
+  // Every /api request, per IP. A safety net: the routes below have tighter limits.
+  global: limit("GLOBAL", { windowMinutes: 15, max: 300 }),
+
+  // Per IP
+  signup: limit("SIGNUP", { windowMinutes: 60, max: 10 }),
+  forgotPassword: limit("FORGOT_PASSWORD", { windowMinutes: 60, max: 10 }),
+  refresh: limit("REFRESH", { windowMinutes: 15, max: 60 }),
+  oauth: limit("OAUTH", { windowMinutes: 15, max: 30 }),
+  resendVerificationIp: limit("RESEND_VERIFICATION_IP", {
+    windowMinutes: 60,
+    max: 20,
+  }),
+  magicLinkIp: limit("MAGIC_LINK_IP", { windowMinutes: 60, max: 20 }),
+  // Only failed sign-ins count (password, 2FA code, magic link), so a shared office network isn't blocked by normal logins
+  signinFailures: limit("SIGNIN_FAILURES", {
+    windowMinutes: 15,
+    max: config.signin.ipMaxFailedAttempts, // LOGIN_IP_MAX_FAILED_ATTEMPTS, older name, still honoured
+  }),
+
+  // Per email address, so nobody can use our mailbox to spam someone's inbox
+  resendVerificationCooldown: limit("RESEND_VERIFICATION_COOLDOWN", {
+    windowMinutes: 1,
+    max: 1,
+  }),
+  resendVerificationEmail: limit("RESEND_VERIFICATION_EMAIL", {
+    windowMinutes: 60,
+    max: 5,
+  }),
+  magicLinkCooldown: limit("MAGIC_LINK_COOLDOWN", { windowMinutes: 1, max: 1 }),
+};
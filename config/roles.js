@@ -0,0 +1,21 @@
+// Roles and the permissions each one grants. A user gets the permissions of their role plus any extra
+// ones listed in user.permissions. Both end up in the access token (see utils/tokens.js).
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support: ["users:read"],
+  admin: ["users:read", "users:write", "users:roles", "audit:read"],
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+const PERMISSIONS = [...new Set(Object.values(ROLE_PERMISSIONS).flat())];
+
+// Role permissions + extra grants, without duplicates.
+const permissionsFor = (user) => [
+  ...new Set([
+    ...(ROLE_PERMISSIONS[user.role] || []),
+    ...(user.permissions || []),
+  ]),
+];
+
+module.exports = { ROLES, PERMISSIONS, ROLE_PERMISSIONS, permissionsFor };
@@ -0,0 +1,391 @@
+// Every setting the API reads from the environment, where it ends up in the config object, and what a
+// valid value looks like. config/index.js loads it once at startup; anything missing or malformed stops
+// the process right there with the full list of problems, instead of failing on the first request.
+//
+// NODE_ENV picks the profile (development, test or production). A profile changes defaults and which
+// settings are required: e.g. BACKEND_URL falls back to localhost in development but must be set in production.
+
+const fs = require("fs");
+const net = require("net");
+const crypto = require("crypto");
+
+const PROFILES = ["development", "test", "production"];
+
+// Algorithms we sign with, and the key type each one needs (see utils/jwtKeys.js).
+const JWT_ALGORITHMS = {
+  RS256: (jwk) => jwk.kty === "RSA",
+  ES256: (jwk) => jwk.kty === "EC" && jwk.crv === "P-256",
+};
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(
+      `Invalid configuration:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+    this.name = "ConfigError";
+    this.problems = problems;
+  }
+}
+
+// ==================== TYPES ===============
+// Each parser turns the raw string into the value, or throws with what was expected.
+const parsers = {
+  string: (raw) => raw,
+  integer: (raw) => {
+    if (!/^\d+$/.test(raw) || Number(raw) < 1) {
+      throw new Error("must be a positive whole number");
+    }
+    return Number(raw);
+  },
+  boolean: (raw) => {
+    if (!["true", "false"].includes(raw)) {
+      throw new Error('must be "true" or "false"');
+    }
+    return raw === "true";
+  },
+  url: (raw) => {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch {
+      throw new Error("must be a full URL like https://example.com");
+    }
+    if (!["http:", "https:"].includes(url.protocol)) {
+      throw new Error("must be an http(s) URL");
+    }
+    return raw;
+  },
+  // URL we append paths to, so without the trailing slash
+  baseUrl: (raw) => parsers.url(raw).replace(/\/+$/, ""),
+  baseUrlList: (raw) =>
+    raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean)
+      .map(parsers.baseUrl),
+  // Lifetimes as jsonwebtoken reads them: "15m", "7d", "3600" (seconds)
+  duration: (raw) => {
+    if (!/^\d+\s*(ms|s|m|h|d|w|y)?$/.test(raw)) {
+      throw new Error('must be a duration like "15m", "12h" or "7d"');
+    }
+    return /^\d+$/.test(raw) ? Number(raw) : raw;
+  },
+  // JSON Web Key Set ({ "keys": [...] }) with our token keys. Private keys sign and verify,
+  // public-only keys just verify (a retired key, kept until its tokens have expired).
+  jwks: (raw) => {
+    let keys;
+    try {
+      keys = JSON.parse(raw).keys;
+    } catch {
+      throw new Error('must be a JSON Web Key Set like {"keys":[...]}');
+    }
+    if (!Array.isArray(keys) || !keys.length) {
+      throw new Error("must contain at least one key");
+    }
+    keys.forEach((jwk, i) => {
+      if (!jwk.kid) throw new Error(`key ${i + 1} has no "kid"`);
+      if (!JWT_ALGORITHMS[jwk.alg]?.(jwk)) {
+        throw new Error(
+          `key "${jwk.kid}" must be an RS256 (RSA) or ES256 (EC P-256) key with a matching "alg"`
+        );
+      }
+      try {
+        crypto.createPublicKey({ key: jwk, format: "jwk" });
+      } catch {
+        throw new Error(`key "${jwk.kid}" is not a valid JWK`);
+      }
+    });
+    return keys;
+  },
+  jwksFile: (raw) => {
+    let content;
+    try {
+      content = fs.readFileSync(raw, "utf8");
+    } catch {
+      throw new Error("could not be read");
+    }
+    return parsers.jwks(content);
+  },
+  // What Express's "trust proxy" takes: true/false, how many proxies are in front of us, or the
+  // addresses and subnets of the proxies (and the names loopback, linklocal, uniquelocal).
+  trustProxy: (raw) => {
+    if (["true", "false"].includes(raw)) return raw === "true";
+    if (/^\d+$/.test(raw)) return Number(raw);
+
+    const proxies = raw
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+    const isProxy = (item) => {
+      if (["loopback", "linklocal", "uniquelocal"].includes(item)) return true;
+      const [address, prefix] = item.split("/");
+      return (
+        net.isIP(address) !== 0 &&
+        (prefix === undefined || /^\d+$/.test(prefix))
+      );
+    };
+    if (!proxies.length || !proxies.every(isProxy)) {
+      throw new Error(
+        'must be "true", "false", a number of proxies, or proxy addresses/subnets like "loopback, 10.0.0.0/8"'
+      );
+    }
+    return proxies;
+  },
+  size: (raw) => {
+    if (!/^\d+(b|kb|mb)$/i.test(raw)) {
+      throw new Error('must be a size like "10kb" or "1mb"');
+    }
+    return raw;
+  },
+};
+
+// setting("PORT", "port", "integer", { default: 5000 })
+//   default:  value, or { development, test, production } for per-profile defaults
+//   required: true, a list of profiles, or (env, profile) => boolean
+//   values:   allowed values (type "enum")
+const setting = (env, path, type, options = {}) => ({
+  env,
+  path,
+  type,
+  ...options,
+});
+
+const emailTransport = (env, profile) =>
+  env.EMAIL_TRANSPORT || (profile === "test" ? "memory" : "gmail");
+
+const oauthProvider = (name, path = `oauth.${name}`) => {
+  const prefix = `OAUTH_${name.toUpperCase()}_`;
+  return [
+    setting(`${prefix}CLIENT_ID`, `${path}.clientId`, "string"),
+    setting(`${prefix}CLIENT_SECRET`, `${path}.clientSecret`, "string", {
+      required: (env) => Boolean(env[`${prefix}CLIENT_ID`]),
+    }),
+    setting(`${prefix}REDIRECT_URI`, `${path}.redirectUri`, "url"),
+    setting(`${prefix}ISSUER`, `${path}.issuer`, "url"),
+    setting(`${prefix}DISCOVERY_URL`, `${path}.discoveryUrl`, "url"),
+    setting(
+      `${prefix}AUTHORIZATION_ENDPOINT`,
+      `${path}.authorizationEndpoint`,
+      "url"
+    ),
+    setting(`${prefix}TOKEN_ENDPOINT`, `${path}.tokenEndpoint`, "url"),
+    setting(`${prefix}JWKS_URI`, `${path}.jwksUri`, "url"),
+  ];
+};
+
+const SETTINGS = [
+  // ==================== SERVER ===============
+  setting("PORT", "port", "integer", { default: 5000 }),
+  setting("MONGO_URL", "mongoUrl", "string", {
+    required: ["development", "production"], // tests start their own database
+  }),
+  setting("BACKEND_URL", "urls.backend", "baseUrl", {
+    default: { development: "http://localhost:5000" },
+    required: true,
+  }),
+  setting("FRONTEND_URL", "urls.frontend", "baseUrl", {
+    default: { development: "http://localhost:5177" }, // Vite default port
+    required: true,
+  }),
+  // Extra origins allowed by CORS, comma separated. FRONTEND_URL is always allowed.
+  setting("CORS_ORIGINS", "cors.origins", "baseUrlList", { default: [] }),
+  setting("BODY_SIZE_LIMIT", "bodySizeLimit", "size", { default: "10kb" }),
+  // Proxies whose X-Forwarded-For we believe for the client IP (rate limits, logs, sessions). Production
+  // runs behind one proxy (Render); elsewhere requests come in directly, and trusting the header would
+  // let any client pick its own IP.
+  setting("TRUST_PROXY", "trustProxy", "trustProxy", {
+    default: { development: false, test: false, production: 1 },
+  }),
+  setting("LOG_LEVEL", "logLevel", "enum", {
+    values: ["debug", "info", "warn", "error", "silent"],
+    default: { development: "debug", test: "silent", production: "info" },
+  }),
+  setting("METRICS_TOKEN", "metrics.token", "string"),
+
+  // ==================== TOKENS ===============
+  // Signing keys, inline or from a file (e.g. a mounted secret). Required in production; elsewhere a
+  // throwaway key is generated at startup. `npm run jwt:generate-key` makes a new one.
+  setting("JWT_KEYS", "jwt.keys", "jwks"),
+  setting("JWT_KEYS_FILE", "jwt.keysFromFile", "jwksFile"),
+  // Which of the keys signs new tokens. Defaults to the first one with a private part.
+  setting("JWT_SIGNING_KID", "jwt.signingKid", "string"),
+  setting("JWT_ISSUER", "jwt.issuer", "string"), // defaults to BACKEND_URL
+  setting("JWT_AUDIENCE", "jwt.audience", "string", {
+    default: "leadway-api", // what access tokens are for; other services check it
+  }),
+  setting("JWT_EXPIRES_IN", "jwt.accessExpiresIn", "duration", {
+    default: "15m",
+  }),
+  setting("REFRESH_TOKEN_EXPIRES_IN", "jwt.refreshExpiresIn", "duration", {
+    default: "7d",
+  }),
+
+  // ==================== SIGN-IN PROTECTION ===============
+  setting("LOGIN_MAX_FAILED_ATTEMPTS", "signin.maxFailedAttempts", "integer", {
+    default: 5,
+  }),
+  setting("LOGIN_LOCKOUT_MINUTES", "signin.lockoutMinutes", "integer", {
+    default: 15,
+  }),
+  setting(
+    "LOGIN_IP_MAX_FAILED_ATTEMPTS",
+    "signin.ipMaxFailedAttempts",
+    "integer",
+    { default: 20 }
+  ),
+  setting(
+    "ACCOUNT_DELETION_GRACE_DAYS",
+    "accountDeletionGraceDays",
+    "integer",
+    { default: 30 }
+  ),
+
+  // ==================== EMAIL (see config/email.js) ===============
+  setting("EMAIL_TRANSPORT", "email.transport", "enum", {
+    values: ["gmail", "smtp", "json", "file", "memory"],
+    default: { test: "memory", development: "gmail", production: "gmail" },
+  }),
+  setting("EMAIL_USER", "email.user", "string", {
+    required: (env, profile) => emailTransport(env, profile) === "gmail",
+  }),
+  setting("EMAIL_PASS", "email.pass", "string", {
+    required: (env, profile) =>
+      emailTransport(env, profile) === "gmail" && profile !== "test",
+  }),
+  setting("EMAIL_FROM", "email.from", "string"),
+  setting("SMTP_HOST", "email.smtp.host", "string", {
+    required: (env, profile) => emailTransport(env, profile) === "smtp",
+  }),
+  setting("SMTP_PORT", "email.smtp.port", "integer", { default: 587 }),
+  setting("SMTP_SECURE", "email.smtp.secure", "boolean", { default: false }), // true for port 465, false for STARTTLS on 587
+  setting("SMTP_USER", "email.smtp.user", "string"),
+  setting("SMTP_PASS", "email.smtp.pass", "string"),
+  setting("EMAIL_OUTPUT_DIR", "email.outputDir", "string", {
+    default: "tmp/emails",
+  }),
+
+  // ==================== SIGN IN WITH ... (see config/oauth.js) ===============
+  ...oauthProvider("google"),
+];
+
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MINUTES (config/rateLimits.js) are open ended,
+// so they're matched by name instead of listed.
+const RATE_LIMIT_OVERRIDE = /^RATE_LIMIT_([A-Z0-9_]+)_(MAX|WINDOW_MINUTES)$/;
+
+const setPath = (target, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const parent = keys.reduce(
+    (node, key) => (node[key] = node[key] || {}),
+    target
+  );
+  parent[last] = value;
+};
+
+const isRequired = ({ required }, env, profile) => {
+  if (typeof required === "function") return required(env, profile);
+  if (Array.isArray(required)) return required.includes(profile);
+  return Boolean(required);
+};
+
+const defaultFor = (entry, profile) => {
+  const value = entry.default;
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return value[profile];
+  }
+  return value;
+};
+
+// Builds the config object from `env` (process.env), or throws a ConfigError listing every problem.
+const loadConfig = (env) => {
+  const profile = env.NODE_ENV || "development";
+  if (!PROFILES.includes(profile)) {
+    throw new ConfigError([
+      `NODE_ENV must be one of ${PROFILES.join(", ")} (got "${profile}")`,
+    ]);
+  }
+
+  const config = { env: profile, isProduction: profile === "production" };
+  const problems = [];
+
+  for (const entry of SETTINGS) {
+    const raw = env[entry.env] === undefined ? "" : env[entry.env].trim();
+
+    if (raw === "") {
+      const fallback = defaultFor(entry, profile);
+      if (fallback === undefined && isRequired(entry, env, profile)) {
+        problems.push(`${entry.env} is required`);
+      }
+      setPath(config, entry.path, fallback);
+      continue;
+    }
+
+    try {
+      if (entry.type === "enum") {
+        if (!entry.values.includes(raw)) {
+          throw new Error(`must be one of ${entry.values.join(", ")}`);
+        }
+        setPath(config, entry.path, raw);
+      } else {
+        setPath(config, entry.path, parsers[entry.type](raw));
+      }
+    } catch (err) {
+      problems.push(`${entry.env} ${err.message} (got "${raw}")`);
+    }
+  }
+
+  config.rateLimitOverrides = {};
+  for (const [key, raw] of Object.entries(env)) {
+    const match = key.match(RATE_LIMIT_OVERRIDE);
+    if (!match || raw === "") continue;
+    try {
+      const [, name, field] = match;
+      config.rateLimitOverrides[name] = {
+        ...config.rateLimitOverrides[name],
+        [field === "MAX" ? "max" : "windowMinutes"]: parsers.integer(raw),
+      };
+    } catch (err) {
+      problems.push(`${key} ${err.message} (got "${raw}")`);
+    }
+  }
+
+  const { jwt } = config;
+  jwt.keys = jwt.keys || jwt.keysFromFile;
+  delete jwt.keysFromFile;
+  if (!jwt.keys && profile === "production") {
+    problems.push("JWT_KEYS or JWT_KEYS_FILE is required");
+  }
+  if (jwt.keys && jwt.signingKid) {
+    const signing = jwt.keys.find((jwk) => jwk.kid === jwt.signingKid);
+    if (!signing?.d) {
+      problems.push(
+        `JWT_SIGNING_KID "${jwt.signingKid}" must name a private key from JWT_KEYS`
+      );
+    }
+  } else if (jwt.keys && !jwt.keys.some((jwk) => jwk.d)) {
+    problems.push("JWT_KEYS must contain a private key to sign with");
+  }
+
+  if (problems.length) {
+    throw new ConfigError(problems);
+  }
+
+  // Derived values
+  config.cors.origins = [
+    ...new Set([config.urls.frontend, ...config.cors.origins]),
+  ];
+  config.email.from = config.email.from || `"Leadway" <${config.email.user}>`;
+  jwt.issuer = jwt.issuer || config.urls.backend;
+
+  return config;
+};
+
+module.exports = {
+  loadConfig,
+  ConfigError,
+  SETTINGS,
+  PROFILES,
+  JWT_ALGORITHMS,
+};
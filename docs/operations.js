@@ -0,0 +1,481 @@
+// The part of the API docs that can't be read from the routes: what each route is for, what it answers
+// on success and which error codes its handler throws. Keyed by "METHOD /full/path" as it appears in
+// the OpenAPI document; tests/openapi.test.js fails when a route has no entry here (or an entry has no route).
+//
+// Everything else is added by utils/openapi.js from the route's middleware: path/query/body parameters
+// from the express-validator rules, bearer auth (401/403) from authenticate, roles and permissions from
+// requirePermission, 400 VALIDATION_FAILED from validate, 429 RATE_LIMITED from the rate limiters.
+//
+// Per entry:
+//   summary, description  shown in /api/docs
+//   tag                   group in /api/docs (see `tags` below)
+//   body                  JSON schema of the request body, for routes whose body isn't validated
+//   responses             non-error responses, by status
+//   errors                error codes the handler throws, by status, e.g. { 400: ["EMAIL_TAKEN"] }
+//   security              when it isn't simply "bearer token if authenticate is used"
+
+const { ref } = require("./schemas");
+
+const json = (description, schema) => ({
+  description,
+  content: { "application/json": { schema } },
+});
+const message = (description) => json(description, ref("Message"));
+const html = (description) => ({
+  description,
+  content: { "text/html": { schema: { type: "string" } } },
+});
+const object = (properties) => ({
+  type: "object",
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false,
+});
+
+const tags = [
+  { name: "Sign up & sign in" },
+  {
+    name: "Tokens & sessions",
+    description:
+      "Access tokens last JWT_EXPIRES_IN (15 minutes by default); refresh them with the refresh token.",
+  },
+  { name: "Profile & account" },
+  {
+    name: "Two-factor authentication",
+    description:
+      "TOTP codes from an authenticator app, plus single-use recovery codes.",
+  },
+  {
+    name: "Sign in with a provider",
+    description:
+      "Authorization code flow with PKCE, driven by the frontend: /authorize, send the browser to the provider, /callback with the code and state it sends back.",
+  },
+  {
+    name: "Admin",
+    description: "Support staff can read, only admins can change.",
+  },
+  { name: "Monitoring", description: "For the platform, not for users." },
+  { name: "Docs" },
+];
+
+const signinResponses = {
+  200: json(
+    "Signed in, or a 2FA challenge when the account has two-factor authentication on",
+    ref("SigninResult")
+  ),
+};
+
+const operations = {
+  // ==================== SIGN UP & SIGN IN ===============
+  "POST /api/auth/signup": {
+    tag: "Sign up & sign in",
+    summary: "Create an account",
+    description:
+      "Emails a verification link (valid 1 hour). The account can't sign in with its password until the link is opened.",
+    responses: { 201: message("Account created, verification email sent") },
+    errors: { 400: ["EMAIL_TAKEN"] },
+  },
+  "GET /api/auth/verify-email/{token}": {
+    tag: "Sign up & sign in",
+    summary: "Verify an email address",
+    description:
+      "Opened from the link in the verification email, so it answers with an HTML page rather than JSON.",
+    responses: {
+      200: html("Email verified"),
+      400: html("Invalid or expired link, or the account no longer exists"),
+    },
+  },
+  "POST /api/auth/resend-verification": {
+    tag: "Sign up & sign in",
+    summary: "Send the verification email again",
+    description:
+      "Same answer whether or not the email belongs to an account, or is already verified.",
+    responses: { 200: message("New link sent if the account needs one") },
+  },
+  "POST /api/auth/signin": {
+    tag: "Sign up & sign in",
+    summary: "Sign in with email and password",
+    description:
+      "Each wrong password counts towards a temporary lock of the account (423, doubling each time).",
+    responses: signinResponses,
+    errors: {
+      400: ["INVALID_CREDENTIALS"],
+      401: ["EMAIL_NOT_VERIFIED"],
+      403: ["ACCOUNT_DISABLED"],
+      423: ["ACCOUNT_LOCKED"],
+    },
+  },
+  "POST /api/auth/signin/2fa": {
+    tag: "Sign up & sign in",
+    summary: "Finish signing in with a 2FA code",
+    description:
+      "Exchanges the challengeToken from a sign-in plus a code from the authenticator app (or a recovery code) for the tokens.",
+    responses: {
+      200: json("Signed in", ref("Signin")),
+    },
+    errors: {
+      400: ["INVALID_2FA_CODE"],
+      401: ["INVALID_CHALLENGE"],
+      403: ["ACCOUNT_DISABLED"],
+      423: ["ACCOUNT_LOCKED"],
+    },
+  },
+  "POST /api/auth/magic-link": {
+    tag: "Sign up & sign in",
+    summary: "Email a sign-in link and code",
+    description:
+      "Sends a single-use link plus a 6-digit code (for signing in on another device), both valid 10 minutes. Same answer whether or not the email belongs to an account.",
+    responses: { 200: message("Link and code sent if the account exists") },
+  },
+  "POST /api/auth/magic-link/verify": {
+    tag: "Sign up & sign in",
+    summary: "Sign in with the emailed link or code",
+    description:
+      "Send either `token` (from the link) or `email` and `code`. After 5 wrong codes the code stops working.",
+    responses: signinResponses,
+    errors: {
+      400: ["INVALID_MAGIC_LINK", "TOO_MANY_ATTEMPTS"],
+      403: ["ACCOUNT_DISABLED"],
+    },
+  },
+
+  // ==================== TOKENS & SESSIONS ===============
+  "POST /api/auth/refresh": {
+    tag: "Tokens & sessions",
+    summary: "Get new tokens",
+    description:
+      "Refresh tokens are single use. Sending one that was already used signs the whole session out, as someone else has a copy of it.",
+    body: object({ refreshToken: ref("RefreshToken") }),
+    responses: { 200: json("New access and refresh token", ref("TokenPair")) },
+    errors: {
+      401: ["REFRESH_TOKEN_MISSING"],
+      403: ["INVALID_TOKEN", "ACCOUNT_DISABLED"],
+    },
+  },
+  "POST /api/auth/logout": {
+    tag: "Tokens & sessions",
+    summary: "Sign this device out",
+    description:
+      "Revokes the session of the refresh token. Works with an expired access token, and answers the same for unknown tokens.",
+    body: object({ refreshToken: ref("RefreshToken") }),
+    responses: { 200: message("Signed out") },
+    errors: { 401: ["REFRESH_TOKEN_MISSING"] },
+  },
+  "POST /api/auth/logout-all": {
+    tag: "Tokens & sessions",
+    summary: "Sign every device out",
+    description: "Access tokens already issued keep working until they expire.",
+    responses: { 200: message("Every session revoked") },
+  },
+  "GET /api/auth/sessions": {
+    tag: "Tokens & sessions",
+    summary: "List the devices signed in",
+    description: "Most recently used first.",
+    responses: {
+      200: json(
+        "Active sessions",
+        object({ sessions: { type: "array", items: ref("Session") } })
+      ),
+    },
+  },
+  "DELETE /api/auth/sessions/{id}": {
+    tag: "Tokens & sessions",
+    summary: "Sign one device out",
+    description: "Its refresh token stops working immediately.",
+    responses: { 200: message("Session revoked") },
+    errors: { 404: ["NOT_FOUND"] },
+  },
+
+  // ==================== PROFILE & ACCOUNT ===============
+  "GET /api/auth/profile": {
+    tag: "Profile & account",
+    summary: "Get the signed-in user",
+    responses: { 200: json("The user", ref("UserResponse")) },
+    errors: { 404: ["NOT_FOUND"] },
+  },
+  "PATCH /api/auth/profile": {
+    tag: "Profile & account",
+    summary: "Update the profile",
+    description:
+      "Only the fields sent are changed. An empty phone or avatarUrl removes it. Email and password have their own routes.",
+    responses: { 200: json("Updated user", ref("UserResponse")) },
+    errors: { 404: ["NOT_FOUND"] },
+  },
+  "POST /api/auth/forgot-password": {
+    tag: "Profile & account",
+    summary: "Email a password reset link",
+    description:
+      "The link is valid 30 minutes. Same answer whether or not the email belongs to an account.",
+    responses: { 200: message("Link sent if the account exists") },
+  },
+  "POST /api/auth/reset-password/{token}": {
+    tag: "Profile & account",
+    summary: "Set a new password with a reset link",
+    description:
+      "The token is the last part of the emailed link. Signs the user out everywhere.",
+    responses: { 200: message("Password changed") },
+    errors: { 400: ["INVALID_TOKEN"] },
+  },
+  "POST /api/auth/change-password": {
+    tag: "Profile & account",
+    summary: "Change the password",
+    description: "Every other device is signed out.",
+    responses: { 200: message("Password changed") },
+    errors: { 400: ["INCORRECT_PASSWORD"], 404: ["NOT_FOUND"] },
+  },
+  "POST /api/auth/change-email": {
+    tag: "Profile & account",
+    summary: "Change the email address",
+    description:
+      "Emails a confirmation link (valid 1 hour) to the new address; the email only changes once it is opened.",
+    responses: { 200: message("Confirmation link sent to the new address") },
+    errors: {
+      400: ["INCORRECT_PASSWORD", "SAME_EMAIL", "EMAIL_TAKEN"],
+      404: ["NOT_FOUND"],
+    },
+  },
+  "GET /api/auth/confirm-email-change/{token}": {
+    tag: "Profile & account",
+    summary: "Confirm an email change",
+    description:
+      "Opened from the link sent to the new address, so it answers with an HTML page rather than JSON.",
+    responses: {
+      200: html("Email changed"),
+      400: html("Invalid or expired link, or the address is taken"),
+      500: html("Something went wrong"),
+    },
+  },
+  "DELETE /api/auth/account": {
+    tag: "Profile & account",
+    summary: "Delete the account",
+    description:
+      "The account is deleted after ACCOUNT_DELETION_GRACE_DAYS; signing in before then cancels it. Signs the user out everywhere.",
+    responses: {
+      200: json(
+        "Deletion scheduled",
+        object({
+          message: { type: "string" },
+          deletionScheduledAt: { type: "string", format: "date-time" },
+        })
+      ),
+    },
+    errors: { 400: ["INCORRECT_PASSWORD"], 404: ["NOT_FOUND"] },
+  },
+  "GET /api/auth/activity": {
+    tag: "Profile & account",
+    summary: "Recent security activity",
+    description:
+      "The user's own audit log (sign-ins, password changes, ...), newest first.",
+    responses: {
+      200: json(
+        "Events",
+        object({ events: { type: "array", items: ref("ActivityEvent") } })
+      ),
+    },
+  },
+
+  // ==================== TWO-FACTOR ===============
+  "POST /api/auth/2fa/enroll": {
+    tag: "Two-factor authentication",
+    summary: "Start turning 2FA on",
+    description:
+      "Returns a new secret and recovery codes. 2FA is only on once POST /api/auth/2fa/confirm succeeds; enrolling again replaces them.",
+    responses: {
+      200: json("Secret and recovery codes", ref("TwoFactorEnrollment")),
+    },
+    errors: { 400: ["TWO_FACTOR_ALREADY_ENABLED"], 404: ["NOT_FOUND"] },
+  },
+  "POST /api/auth/2fa/confirm": {
+    tag: "Two-factor authentication",
+    summary: "Turn 2FA on",
+    description:
+      "With the first code from the authenticator app (recovery codes aren't accepted here).",
+    responses: { 200: message("2FA enabled") },
+    errors: {
+      400: [
+        "TWO_FACTOR_ALREADY_ENABLED",
+        "TWO_FACTOR_NOT_ENROLLED",
+        "INVALID_2FA_CODE",
+      ],
+      404: ["NOT_FOUND"],
+    },
+  },
+  "POST /api/auth/2fa/disable": {
+    tag: "Two-factor authentication",
+    summary: "Turn 2FA off",
+    description: "Needs the password and a current code (or recovery code).",
+    responses: { 200: message("2FA disabled") },
+    errors: {
+      400: ["TWO_FACTOR_NOT_ENABLED", "INCORRECT_PASSWORD", "INVALID_2FA_CODE"],
+      404: ["NOT_FOUND"],
+    },
+  },
+
+  // ==================== SIGN IN WITH A PROVIDER ===============
+  "GET /api/auth/oauth/{provider}/authorize": {
+    tag: "Sign in with a provider",
+    summary: "Start signing in with a provider",
+    description:
+      "Keep `state` and send the browser to `authorizationUrl`. The attempt expires after 10 minutes.",
+    responses: {
+      200: json(
+        "Where to send the browser",
+        object({
+          authorizationUrl: { type: "string", format: "uri" },
+          state: { type: "string" },
+        })
+      ),
+    },
+    errors: { 404: ["UNKNOWN_PROVIDER"], 502: ["UPSTREAM_ERROR"] },
+  },
+  "POST /api/auth/oauth/{provider}/callback": {
+    tag: "Sign in with a provider",
+    summary: "Finish signing in with a provider",
+    description:
+      "With the `code` and `state` the provider sent back. Links the provider to the account with the same verified email, or creates one.",
+    responses: signinResponses,
+    errors: {
+      400: ["INVALID_STATE", "PROVIDER_EMAIL_NOT_VERIFIED"],
+      401: ["PROVIDER_SIGNIN_FAILED"],
+      403: ["ACCOUNT_DISABLED"],
+      404: ["UNKNOWN_PROVIDER"],
+    },
+  },
+
+  // ==================== ADMIN ===============
+  "GET /api/admin/users": {
+    tag: "Admin",
+    summary: "Search users",
+    description: "`search` matches the name or email. Newest first.",
+    responses: {
+      200: json(
+        "One page of users",
+        object({
+          users: { type: "array", items: ref("User") },
+          pagination: ref("Pagination"),
+        })
+      ),
+    },
+  },
+  "GET /api/admin/users/{id}": {
+    tag: "Admin",
+    summary: "Get a user",
+    responses: { 200: json("The user", ref("UserResponse")) },
+    errors: { 404: ["NOT_FOUND"] },
+  },
+  "PATCH /api/admin/users/{id}/role": {
+    tag: "Admin",
+    summary: "Change a user's role",
+    description:
+      "Reaches the user's access token on their next refresh or sign-in. Admins can't change their own role.",
+    responses: { 200: json("Updated user", ref("UserResponse")) },
+    errors: { 400: ["CANNOT_CHANGE_SELF"], 404: ["NOT_FOUND"] },
+  },
+  "PATCH /api/admin/users/{id}/verification": {
+    tag: "Admin",
+    summary: "Mark a user's email as verified or not",
+    responses: { 200: json("Updated user", ref("UserResponse")) },
+    errors: { 404: ["NOT_FOUND"] },
+  },
+  "PATCH /api/admin/users/{id}/status": {
+    tag: "Admin",
+    summary: "Disable or enable an account",
+    description:
+      "Disabling signs the user out everywhere. Admins can't disable themselves.",
+    responses: { 200: json("Updated user", ref("UserResponse")) },
+    errors: { 400: ["CANNOT_CHANGE_SELF"], 404: ["NOT_FOUND"] },
+  },
+  "GET /api/admin/audit-events": {
+    tag: "Admin",
+    summary: "Search the audit log",
+    description: "Newest first. `type` takes a comma separated list.",
+    responses: {
+      200: json(
+        "One page of events",
+        object({
+          events: { type: "array", items: ref("AuditEvent") },
+          pagination: ref("Pagination"),
+        })
+      ),
+    },
+  },
+  "GET /api/admin/audit-events/export": {
+    tag: "Admin",
+    summary: "Download the audit log",
+    description:
+      "Same filters as the search, as a file download of at most 10,000 events; narrow the dates for more.",
+    responses: {
+      200: {
+        description: "File download (Content-Disposition: attachment)",
+        content: {
+          "text/csv": { schema: { type: "string" } },
+          "application/json": {
+            schema: { type: "array", items: ref("AuditEvent") },
+          },
+        },
+      },
+    },
+  },
+
+  // ==================== DOCS ===============
+  "GET /api/docs": {
+    tag: "Docs",
+    summary: "Interactive API docs",
+    responses: { 200: html("Swagger UI for this document") },
+  },
+  "GET /api/docs/openapi.json": {
+    tag: "Docs",
+    summary: "This document",
+    responses: {
+      200: json("OpenAPI 3 document", {
+        type: "object",
+        required: ["openapi", "info", "paths"],
+      }),
+    },
+  },
+
+  // ==================== MONITORING ===============
+  "GET /": {
+    tag: "Monitoring",
+    summary: "Say the API is running",
+    responses: { 200: html("The text “API running”") },
+  },
+  "GET /health/live": {
+    tag: "Monitoring",
+    summary: "Liveness probe",
+    description: "The process is up. Restart it when this fails.",
+    responses: { 200: json("Alive", ref("HealthLive")) },
+  },
+  "GET /health/ready": {
+    tag: "Monitoring",
+    summary: "Readiness probe",
+    description:
+      "503 while the database is down. A failing email transport only makes it `degraded`.",
+    responses: {
+      200: json("Ready (maybe degraded)", ref("HealthReady")),
+      503: json("Not ready", ref("HealthReady")),
+    },
+  },
+  "GET /metrics": {
+    tag: "Monitoring",
+    summary: "Prometheus metrics",
+    description: "With METRICS_TOKEN set, send it as a bearer token.",
+    security: [{}, { metricsToken: [] }],
+    responses: {
+      200: {
+        description: "Prometheus text format",
+        content: { "text/plain": { schema: { type: "string" } } },
+      },
+    },
+    errors: { 401: ["UNAUTHENTICATED"] },
+  },
+  "GET /.well-known/jwks.json": {
+    tag: "Tokens & sessions",
+    summary: "Token signing keys",
+    description:
+      "Public keys (JWKS, RFC 7517) to verify access tokens with: pick the key matching the token's `kid`, and check `iss` and `aud`. Cacheable for 5 minutes.",
+    responses: { 200: json("Public keys", ref("Jwks")) },
+  },
+};
+
+module.exports = { operations, tags };
@@ -0,0 +1,311 @@
+// Shapes of the JSON bodies the API sends, for the OpenAPI document (utils/openapi.js).
+// `additionalProperties: false` on purpose: tests/openapi*.test.js check real responses against these,
+// so a field added to a response without being documented here fails a test.
+
+const { ROLES, PERMISSIONS } = require("../config/roles");
+const { AUDIT_EVENT_TYPES, AUDIT_OUTCOMES } = require("../config/auditEvents");
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const string = { type: "string" };
+const dateTime = { type: "string", format: "date-time" };
+const objectId = { type: "string", pattern: "^[0-9a-fA-F]{24}$" };
+
+// Object with every property listed; `required` are the ones always present.
+const object = (properties, required = Object.keys(properties)) => ({
+  type: "object",
+  properties,
+  required,
+  additionalProperties: false,
+});
+
+const schemas = {
+  // ==================== ERRORS ===============
+  Error: {
+    ...object(
+      {
+        code: {
+          type: "string",
+          description:
+            "Stable error code to branch on, e.g. INVALID_CREDENTIALS. Each response lists the codes it can have.",
+        },
+        message: {
+          type: "string",
+          description: "For humans, may change at any time",
+        },
+        details: {
+          oneOf: [
+            {
+              type: "array",
+              items: ref("FieldError"),
+              description: "VALIDATION_FAILED: one entry per problem",
+            },
+            ref("RetryAfter"),
+          ],
+        },
+      },
+      ["code", "message"]
+    ),
+    description: "Every error response, see utils/errors.js",
+  },
+  FieldError: object({
+    field: { type: "string", example: "email" },
+    location: { type: "string", enum: ["body", "query", "params"] },
+    message: { type: "string", example: "Please enter a valid email" },
+  }),
+  RetryAfter: {
+    ...object({
+      retryAfter: {
+        type: "integer",
+        description: "Seconds to wait, also sent as the Retry-After header",
+      },
+    }),
+    description: "RATE_LIMITED and ACCOUNT_LOCKED",
+  },
+
+  Message: object({ message: string }),
+
+  // ==================== SIGNING IN ===============
+  Signin: object(
+    {
+      message: { type: "string", example: "Login Successful" },
+      deletionCancelled: {
+        type: "boolean",
+        enum: [true],
+        description:
+          "Only present when signing in cancelled a scheduled account deletion",
+      },
+      accessToken: ref("AccessToken"),
+      refreshToken: ref("RefreshToken"),
+      user: object({ id: objectId, fullName: string, email: string }),
+    },
+    ["message", "accessToken", "refreshToken", "user"]
+  ),
+  TwoFactorChallenge: {
+    ...object({
+      message: {
+        type: "string",
+        example: "Two-factor authentication required",
+      },
+      twoFactorRequired: { type: "boolean", enum: [true] },
+      challengeToken: {
+        type: "string",
+        description:
+          "Send it with a code to POST /api/auth/signin/2fa within 5 minutes",
+      },
+    }),
+    description: "The account has 2FA on: the password alone isn't enough",
+  },
+  SigninResult: {
+    oneOf: [ref("Signin"), ref("TwoFactorChallenge")],
+    description:
+      "Tokens, or a 2FA challenge when the account has two-factor authentication on",
+  },
+  TokenPair: {
+    ...object({
+      accessToken: ref("AccessToken"),
+      refreshToken: ref("RefreshToken"),
+    }),
+    description:
+      "Replace BOTH stored tokens: the refresh token just sent no longer works",
+  },
+  AccessToken: {
+    type: "string",
+    description:
+      "JWT for the Authorization header. Verifiable with GET /.well-known/jwks.json",
+  },
+  RefreshToken: {
+    type: "string",
+    description: "Single use: POST /api/auth/refresh returns a new one",
+  },
+
+  // ==================== USERS ===============
+  User: object(
+    {
+      _id: objectId,
+      fullName: string,
+      email: { type: "string", format: "email" },
+      verified: { type: "boolean" },
+      role: { type: "string", enum: ROLES },
+      permissions: {
+        type: "array",
+        items: { type: "string", enum: PERMISSIONS },
+        description: "Extra permissions on top of the role's",
+      },
+      disabled: { type: "boolean" },
+      disabledAt: dateTime,
+      disabledReason: string,
+      passwordChangedAt: dateTime,
+      lockUntil: { ...dateTime, description: "Sign in is refused until then" },
+      phone: string,
+      avatarUrl: { type: "string", format: "uri" },
+      preferences: object({
+        language: { type: "string", example: "en" },
+        theme: { type: "string", enum: ["light", "dark", "system"] },
+        marketingEmails: { type: "boolean" },
+      }),
+      pendingEmail: {
+        type: "string",
+        description: "New email waiting for its confirmation link",
+      },
+      identities: {
+        type: "array",
+        items: object(
+          {
+            provider: { type: "string", example: "google" },
+            subject: string,
+            email: string,
+            linkedAt: dateTime,
+          },
+          ["provider", "subject"]
+        ),
+      },
+      deletionScheduledAt: dateTime,
+      twoFactor: object({ enabled: { type: "boolean" } }),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+      __v: { type: "integer" },
+    },
+    [
+      "_id",
+      "fullName",
+      "email",
+      "verified",
+      "role",
+      "permissions",
+      "disabled",
+      "preferences",
+      "identities",
+      "twoFactor",
+      "createdAt",
+      "updatedAt",
+    ]
+  ),
+  UserResponse: object(
+    { message: string, user: ref("User") },
+    ["user"] // GET /api/admin/users/{id} has no message
+  ),
+  Pagination: object({
+    page: { type: "integer" },
+    limit: { type: "integer" },
+    total: { type: "integer" },
+    totalPages: { type: "integer" },
+  }),
+
+  // ==================== SESSIONS & ACTIVITY ===============
+  Session: object(
+    {
+      id: objectId,
+      device: { type: "string", example: "Chrome on Windows" },
+      userAgent: string,
+      ip: string,
+      createdAt: dateTime,
+      lastUsedAt: dateTime,
+      current: {
+        type: "boolean",
+        description: "The session making this request",
+      },
+    },
+    ["id", "device", "userAgent", "createdAt", "lastUsedAt", "current"]
+  ),
+  ActivityEvent: object(
+    {
+      id: objectId,
+      type: { type: "string", enum: AUDIT_EVENT_TYPES },
+      outcome: { type: "string", enum: AUDIT_OUTCOMES },
+      reason: { type: "string", example: "INVALID_CREDENTIALS" },
+      ip: string,
+      device: string,
+      userAgent: string,
+      metadata: { type: "object" },
+      byAdmin: {
+        type: "boolean",
+        description: "Done by an admin, e.g. the account was disabled",
+      },
+      createdAt: dateTime,
+    },
+    ["id", "type", "outcome", "device", "userAgent", "byAdmin", "createdAt"]
+  ),
+  AuditEvent: object(
+    {
+      _id: objectId,
+      id: objectId,
+      type: { type: "string", enum: AUDIT_EVENT_TYPES },
+      outcome: { type: "string", enum: AUDIT_OUTCOMES },
+      reason: string,
+      user: { ...objectId, description: "Account the event is about" },
+      actor: { ...objectId, description: "Admin who did it" },
+      email: string,
+      ip: string,
+      userAgent: string,
+      requestId: string,
+      metadata: { type: "object" },
+      device: string,
+      createdAt: dateTime,
+      __v: { type: "integer" },
+    },
+    ["_id", "type", "outcome", "userAgent", "createdAt"]
+  ),
+
+  // ==================== TWO-FACTOR ===============
+  TwoFactorEnrollment: object({
+    message: string,
+    secret: { type: "string", description: "Base32, for manual entry" },
+    otpauthUri: {
+      type: "string",
+      description: "Show it as a QR code for the authenticator app",
+    },
+    recoveryCodes: {
+      type: "array",
+      items: string,
+      description: "Shown once: only their hashes are stored",
+    },
+  }),
+
+  // ==================== MONITORING ===============
+  HealthLive: object({
+    status: { type: "string", enum: ["ok"] },
+    uptime: { type: "number", description: "Seconds" },
+  }),
+  HealthReady: object({
+    status: { type: "string", enum: ["ok", "degraded", "unavailable"] },
+    checks: object({
+      database: object(
+        {
+          status: { type: "string", enum: ["up", "down"] },
+          state: { type: "string", example: "connected" },
+          latencyMs: { type: "number" },
+          error: string,
+        },
+        ["status", "state"]
+      ),
+      email: object(
+        {
+          status: { type: "string", enum: ["up", "down"] },
+          transport: { type: "string", example: "smtp" },
+          error: string,
+          checkedAt: dateTime,
+        },
+        ["status", "transport"]
+      ),
+    }),
+  }),
+  Jwks: object({
+    keys: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          kty: { type: "string", enum: ["EC", "RSA"] },
+          kid: string,
+          alg: { type: "string", enum: ["ES256", "RS256"] },
+          use: { type: "string", enum: ["sig"] },
+        },
+        required: ["kty", "kid", "alg", "use"],
+        description: "Public JWK (RFC 7517): crv, x, y for EC; n, e for RSA",
+      },
+    },
+  }),
+};
+
+module.exports = { schemas, ref };
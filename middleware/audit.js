@@ -0,0 +1,41 @@
+// Records one audit event per request, once the response has been sent:
+//   router.post("/signin", audit("signin", { method: "password" }), ...)
+// The outcome comes from the status code and the failure reason from the error code (see errorHandler).
+// The user is req.user for authenticated routes; other routes name it with auditContext(res, { user })
+// as soon as they know it. Without a user, the email from the request body is kept instead.
+
+const { recordEvent } = require("../utils/audit");
+
+const audit = (type, metadata) => (req, res, next) => {
+  res.on("finish", () => {
+    const context = res.locals.audit || {};
+    const failed = res.statusCode >= 400;
+    const user = context.user || req.user?.id;
+    const details = { ...metadata, ...context.metadata };
+
+    recordEvent(req, {
+      type: context.type || type,
+      outcome: failed ? "failure" : "success",
+      reason: failed
+        ? context.reason || res.locals.errorCode || `HTTP_${res.statusCode}`
+        : undefined,
+      user,
+      actor: context.actor,
+      email: user ? undefined : req.body?.email,
+      metadata: Object.keys(details).length ? details : undefined,
+    });
+  });
+  next();
+};
+
+// Adds to the event being recorded for this request: { user, actor, type, reason, metadata }.
+const auditContext = (res, { metadata, ...fields }) => {
+  const current = res.locals.audit || {};
+  res.locals.audit = {
+    ...current,
+    ...fields,
+    metadata: { ...current.metadata, ...metadata },
+  };
+};
+
+module.exports = { audit, auditContext };
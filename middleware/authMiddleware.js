@@ -1,34 +1,68 @@
-const jwt = require("jsonwebtoken"); // You bring in jsonwebtoken, which lets you create and verify JWT tokens.
+const { keyManager } = require("../utils/jwtKeys"); // Signs and verifies our JWTs (see utils/jwtKeys.js).
+const { AuthError, ForbiddenError } = require("../utils/errors");
+const User = require("../models/user");
+const config = require("../config");
 
-const authenticate = (req, res, next) => {
-  // A middleware is a function that runs before your actual route handler (e.g. /profile). It checks conditions (like whether the user is logged in) and decides if the request should continue (next()) or be stopped with an error.
+const authenticate = async (req, res, next) => {
+  // A middleware is a function that runs before your actual route handler (e.g. /profile). It checks conditions (like whether the user is logged in) and decides if the request should continue (next()) or be stopped with an error (thrown, errorHandler sends the response).
 
   // The frontend sends a token like this in the request: Authorization: Bearer <token>
   const authHeader = req.headers.authorization; // req.headers.authorization grabs that value.
 
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ message: "Access token missing" });
+    throw new AuthError("Access token missing");
   }
 
   const token = authHeader.split(" ")[1]; // Extract token from the bearer token . The header looks like "Bearer abc123token". .split(" ")[1] takes the second part, which is just the token itself (abc123token).
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET); //jwt.verify() checks:
-    //Was the token created using your secret key?
+    decoded = keyManager.verify(token, { audience: config.jwt.audience }); // verify() checks:
+    //Was the token signed with one of our keys (the `kid` header says which)?
     //Has it expired?
     //Was it tampered with?
+    //Was it issued by us (iss) for this API (aud)?
     // If it’s valid → you get back the payload you originally put in the token (e.g. { id, email }).
     // If invalid → it throws an error.
-
-    req.user = { id: decoded.id, email: decoded.email }; // After decoding, the middleware attaches the user info (id + email) to the request object. This means any route after this middleware can easily access the logged-in user by doing req.user.
-    next(); // If the token is good, this line tells Express: // “Okay, move on to the next middleware or route handler.”
   } catch (err) {
-    return res.status(403).json({ message: "Invalid or expired token" }); // If jwt.verify() failed, the user gets a 403 Forbidden response.
+    // This check has to live inside the catch: `err` doesn't exist outside of it.
+    if (err.name === "TokenExpiredError") {
+      throw new AuthError("Token has expired", "TOKEN_EXPIRED");
+    }
+    throw new ForbiddenError("Invalid or expired token", "INVALID_TOKEN"); // If jwt.verify() failed, the user gets a 403 Forbidden response.
+  }
+
+  // Refresh, email verification and 2FA challenge tokens are signed with the same keys but carry a
+  // `purpose` (and another audience). They must never work as access tokens.
+  if (decoded.purpose) {
+    throw new ForbiddenError("Invalid or expired token", "INVALID_TOKEN");
   }
 
-  if (err.name === "TokenExpiredError") {
-    return res.status(401).json({ message: "Token has expired" });
+  // An access token can't be taken back, so one issued before the latest password change (a reset after
+  // a leak, for instance) is refused here. iat is in whole seconds: a token from the same second as the
+  // change can't be told apart from an older one, so it is refused too, even one issued just after it.
+  // TOKEN_EXPIRED makes the frontend refresh: a session that survived the change gets a new token, the
+  // others have to sign in again.
+  // This costs a database lookup on every authenticated request.
+  const user = await User.findById(decoded.id).select("passwordChangedAt");
+  if (
+    user?.passwordChangedAt &&
+    decoded.iat * 1000 < user.passwordChangedAt.getTime()
+  ) {
+    throw new AuthError(
+      "Token was issued before the password changed",
+      "TOKEN_EXPIRED"
+    );
   }
+
+  req.user = {
+    id: decoded.id,
+    email: decoded.email,
+    role: decoded.role || "user",
+    permissions: decoded.permissions || [],
+    sessionId: decoded.sid,
+  }; // After decoding, the middleware attaches the user info (id, email, role, permissions, session id) to the request object. This means any route after this middleware can easily access the logged-in user by doing req.user.
+  next(); // If the token is good, this line tells Express: // “Okay, move on to the next middleware or route handler.”
 };
 
 module.exports = authenticate;
@@ -0,0 +1,68 @@
+// Last two middlewares of the app: every error ends up here and leaves as the same JSON envelope
+// { code, message, details? } (see utils/errors.js).
+
+const { ApiError, BadRequestError, NotFoundError } = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+// Nothing matched the request. Mounted after all the routes.
+const notFound = (req, res, next) => {
+  next(
+    new NotFoundError(
+      `Cannot ${req.method} ${req.originalUrl.split("?")[0]}`,
+      "ROUTE_NOT_FOUND"
+    )
+  );
+};
+
+// Errors thrown by Express itself or its body parsers, which aren't ApiErrors.
+const fromExpressError = (err) => {
+  if (err.type === "entity.parse.failed") {
+    return new BadRequestError(
+      "Request body is not valid JSON",
+      "INVALID_JSON"
+    );
+  }
+  if (err.type === "entity.too.large") {
+    return new ApiError("Request body is too large", {
+      status: 413,
+      code: "PAYLOAD_TOO_LARGE",
+    });
+  }
+  // Other client errors flagged as safe to show (http-errors sets `expose`)
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new ApiError(err.message, {
+      status: err.status,
+      code: "BAD_REQUEST",
+    });
+  }
+  return null;
+};
+
+// Keep all 4 arguments: that is how Express tells an error handler from a normal middleware.
+const errorHandler = (err, req, res, next) => {
+  // Too late to send our own response, let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error = err instanceof ApiError ? err : fromExpressError(err);
+  if (!error) {
+    // A bug or an outage: log everything, tell the client nothing about it
+    (req.log || logger).error("Unhandled error", { err });
+    error = new ApiError("Server Error");
+  }
+
+  res.locals.errorCode = error.code; // failure reason for the audit log (middleware/audit.js)
+
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+
+  res.status(error.status).json({
+    code: error.code,
+    message: error.message,
+    ...(error.details !== undefined && { details: error.details }),
+  });
+};
+
+module.exports = { notFound, errorHandler };
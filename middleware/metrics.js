@@ -0,0 +1,27 @@
+// Counts every response and its latency for GET /metrics (see utils/metrics.js), labelled with the
+// route pattern and status. Requests that matched no route share route="unmatched", otherwise anyone
+// could create new series by requesting random URLs.
+
+const { routeOf } = require("./requestLogger");
+const { httpRequests, httpRequestDuration } = require("../utils/metrics");
+
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: routeOf(req, res) || "unmatched",
+      status: res.statusCode,
+    };
+    httpRequests.inc(labels);
+    httpRequestDuration.observe(
+      labels,
+      Number(process.hrtime.bigint() - start) / 1e9
+    );
+  });
+
+  next();
+};
+
+module.exports = httpMetrics;
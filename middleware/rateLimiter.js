@@ -0,0 +1,48 @@
+// Simple rate limiter. Each limiter counts hits per key (IP, email, ...) inside a fixed time window
+// and answers 429 Too Many Requests (RATE_LIMITED) once the limit is reached, until the window resets.
+// Counters are kept in a store (utils/rateLimitStore.js): in memory unless another store is passed.
+// The limits themselves are in config/rateLimits.js.
+
+const { RateLimitedError } = require("../utils/errors");
+const { MemoryStore } = require("../utils/rateLimitStore");
+const { logger } = require("../utils/logger");
+
+const rateLimit = ({
+  windowMs, // Length of the window in milliseconds
+  max, // How many requests a single key may make inside one window
+  keyGenerator = (req) => req.ip, // Decides what we count against (defaults to the client IP)
+  message = "Too many requests, please try again later",
+  skipSuccessfulRequests = false, // When true only failed responses (status >= 400) count, e.g. failed logins
+  store = new MemoryStore(),
+}) => {
+  const limiter = async (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next(); // Nothing to count against (e.g. missing email) → let validation handle it
+
+    const { count, resetAt } = await store.increment(key, windowMs);
+
+    if (count > max) {
+      const retryAfter = Math.ceil((resetAt - Date.now()) / 1000); // seconds until the window resets
+      throw new RateLimitedError(message, retryAfter); // errorHandler also sets Retry-After
+    }
+
+    // Give the hit back once we know the request succeeded
+    if (skipSuccessfulRequests) {
+      res.on("finish", () => {
+        if (res.statusCode < 400) {
+          store
+            .decrement(key)
+            .catch((err) =>
+              (req.log || logger).error("Rate limit store error", { err })
+            );
+        }
+      });
+    }
+
+    next();
+  };
+  limiter.rateLimit = { windowMs, max }; // shown in the API docs (utils/openapi.js)
+  return limiter;
+};
+
+module.exports = rateLimit;
@@ -0,0 +1,33 @@
+// Use AFTER authenticate: authenticate checks WHO the user is, requirePermission checks WHAT they are allowed to do.
+// It checks the permissions in the access token, not the role: the role's permissions plus the extra ones an
+// admin granted (see config/roles.js), so a support user granted "users:write" can change accounts without
+// becoming an admin.
+// Example: router.patch("/users/:id/status", authenticate, requirePermission("users:write"), handler)
+
+const { AuthError, ForbiddenError } = require("../utils/errors");
+const { ROLE_PERMISSIONS } = require("../config/roles");
+
+const requirePermission = (...permissions) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      throw new AuthError("Access token missing"); // authenticate wasn't run before this middleware
+    }
+
+    const granted = req.user.permissions || [];
+    if (!permissions.every((permission) => granted.includes(permission))) {
+      throw new ForbiddenError("You do not have permission to do this");
+    }
+
+    next();
+  };
+  // Shown in the API docs (utils/openapi.js), with the roles that have them without extra grants
+  middleware.permissions = permissions;
+  middleware.roles = Object.keys(ROLE_PERMISSIONS).filter((role) =>
+    permissions.every((permission) =>
+      ROLE_PERMISSIONS[role].includes(permission)
+    )
+  );
+  return middleware;
+};
+
+module.exports = requirePermission;
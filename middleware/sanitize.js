@@ -0,0 +1,30 @@
+// Stops MongoDB operator injection: a body like { "email": { "$gt": "" } } would otherwise reach
+// User.findOne({ email }) and match any user. Keys starting with "$" or containing "." are
+// removed at every depth (also "__proto__", against prototype pollution), so only plain values are left.
+
+const isForbiddenKey = (key) =>
+  key.startsWith("$") || key.includes(".") || key === "__proto__";
+
+// Removes the forbidden keys from `value` in place and returns it.
+const stripForbiddenKeys = (value) => {
+  if (Array.isArray(value)) {
+    value.forEach(stripForbiddenKeys);
+  } else if (value && typeof value === "object") {
+    for (const key of Object.keys(value)) {
+      if (isForbiddenKey(key)) {
+        delete value[key];
+      } else {
+        stripForbiddenKeys(value[key]);
+      }
+    }
+  }
+  return value;
+};
+
+// For req.body. req.query can't be changed in Express 5: app.js sanitizes it in the "query parser" instead.
+const sanitizeBody = (req, res, next) => {
+  stripForbiddenKeys(req.body);
+  next();
+};
+
+module.exports = { sanitizeBody, stripForbiddenKeys };
@@ -0,0 +1,25 @@
+// Response headers that make browsers treat our responses safely. The API only returns JSON plus a few
+// small HTML pages (email links), so everything can be locked down tightly.
+
+const HEADERS = {
+  // Only our own inline styles (used by the email link pages); no scripts, frames, plugins, ...
+  "Content-Security-Policy":
+    "default-src 'none'; style-src 'unsafe-inline'; img-src 'self' data:; base-uri 'none'; form-action 'none'; frame-ancestors 'none'",
+  "Strict-Transport-Security": "max-age=15552000; includeSubDomains", // HTTPS only for 180 days (ignored over plain HTTP)
+  "X-Content-Type-Options": "nosniff", // never guess a content type, e.g. run JSON as a script
+  "X-Frame-Options": "DENY", // no clickjacking through <iframe> (older browsers ignore frame-ancestors)
+  "Referrer-Policy": "no-referrer", // the email link pages have tokens in their URL
+  "Cross-Origin-Opener-Policy": "same-origin",
+  "Cross-Origin-Resource-Policy": "same-origin", // CORS requests from the frontend are not affected
+  "X-Permitted-Cross-Domain-Policies": "none",
+  "X-DNS-Prefetch-Control": "off",
+};
+
+const securityHeaders = (req, res, next) => {
+  res.set(HEADERS);
+  // Responses carry tokens and personal data: no browser or proxy may keep a copy
+  res.set("Cache-Control", "no-store");
+  next();
+};
+
+module.exports = securityHeaders;
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+const { AUDIT_EVENT_TYPES, AUDIT_OUTCOMES } = require("../config/auditEvents");
+const { describeDevice } = require("../utils/device");
+
+// One document per security relevant request: who did what, from where, and whether it worked.
+// Written by utils/audit.js, never updated afterwards.
+const auditEventSchema = new mongoose.Schema(
+  {
+    type: { type: String, enum: AUDIT_EVENT_TYPES, required: true },
+    outcome: { type: String, enum: AUDIT_OUTCOMES, required: true },
+    reason: { type: String }, // Why it failed: the API error code, e.g. INVALID_CREDENTIALS
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Account the event is about (unknown for e.g. a signin with an unknown email)
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Who did it, when that's not the user (an admin)
+    email: { type: String, lowercase: true, trim: true }, // Email sent in the request, kept when no account matched
+    ip: { type: String },
+    userAgent: { type: String, default: "" },
+    requestId: { type: String }, // Finds the request's lines in the logs (middleware/requestLogger.js)
+    metadata: { type: mongoose.Schema.Types.Mixed }, // Event specific details, e.g. { method: "magic_link" }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    toJSON: { virtuals: true },
+  }
+);
+
+auditEventSchema.index({ user: 1, createdAt: -1 }); // "my recent activity"
+auditEventSchema.index({ type: 1, createdAt: -1 }); // admin queries by event type
+auditEventSchema.index({ createdAt: -1 }); // admin queries by date only
+
+auditEventSchema.virtual("device").get(function () {
+  return describeDevice(this.userAgent);
+});
+
+module.exports = mongoose.model("AuditEvent", auditEventSchema);
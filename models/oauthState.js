@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Short-lived record of a "Sign in with ..." attempt, between sending the user to the provider and
+// getting the authorization code back. Used once, then deleted.
+const oauthStateSchema = new mongoose.Schema(
+  {
+    stateHash: { type: String, required: true, unique: true }, // SHA-256 hash of the `state` sent to the provider
+    provider: { type: String, required: true },
+    nonce: { type: String, required: true }, // Must come back inside the ID token
+    codeVerifier: { type: String, required: true }, // PKCE secret, never leaves the server
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+); // Automatically adds createdAt & updatedAt fields
+
+// MongoDB deletes abandoned attempts on its own.
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OAuthState", oauthStateSchema);
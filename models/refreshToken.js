@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Every refresh token we hand out is recorded here, so it can be rotated, revoked or detected when reused.
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    }, // Owner of the token
+    tokenHash: { type: String, required: true, unique: true }, // SHA-256 hash of the refresh JWT (never the raw token)
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Session",
+      required: true,
+      index: true,
+    }, // All tokens rotated from the same login belong to one session (the token "family")
+    expiresAt: { type: Date, required: true }, // Same expiry as the JWT itself
+    revokedAt: { type: Date }, // Set when the token is rotated, logged out or revoked
+    replacedBy: { type: String }, // Hash of the token issued when this one was rotated
+  },
+  { timestamps: true }
+); // Automatically adds createdAt & updatedAt fields
+
+// MongoDB deletes the document on its own once the token has expired.
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
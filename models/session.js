@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+const { describeDevice } = require("../utils/device");
+
+// One session per login (browser, phone, ...). Every refresh token belongs to a session, so revoking
+// the session logs that device out.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    }, // Owner of the session
+    userAgent: { type: String, default: "" }, // User-Agent header of the device that signed in
+    ip: { type: String }, // Last IP address the session was used from
+    lastUsedAt: { type: Date, default: Date.now }, // Updated at signin and on every /refresh
+    expiresAt: { type: Date, required: true }, // Pushed forward each time the refresh token is rotated
+    revokedAt: { type: Date }, // Set on logout, revocation or refresh token reuse
+  },
+  { timestamps: true, toJSON: { virtuals: true } }
+); // Automatically adds createdAt & updatedAt fields
+
+// MongoDB deletes the session on its own once its last refresh token has expired.
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Short human readable label for the device, e.g. "Chrome on Windows".
+sessionSchema.virtual("device").get(function () {
+  return describeDevice(this.userAgent);
+});
+
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { ROLES, PERMISSIONS } = require("../config/roles");
 
 const userSchema = new mongoose.Schema(
   {
@@ -6,8 +7,99 @@ const userSchema = new mongoose.Schema(
     email: { type: String, required: true, unique: true }, // Email must be unique
     password: { type: String, required: true }, // Hashed password
     verified: { type: Boolean, default: false }, // New Field for email verification
+    role: { type: String, enum: ROLES, default: "user" }, // See config/roles.js
+    permissions: [{ type: String, enum: PERMISSIONS }], // Extra permissions on top of the role's
+    disabled: { type: Boolean, default: false }, // Disabled accounts can't sign in or refresh tokens
+    disabledAt: { type: Date },
+    disabledReason: { type: String },
+    passwordChangedAt: { type: Date }, // Set whenever the password is reset or changed
+    resetPasswordToken: { type: String }, // SHA-256 hash of the emailed reset token (never the raw token)
+    resetPasswordExpires: { type: Date }, // Reset link stops working after this time
+    failedLoginAttempts: { type: Number, default: 0 }, // Wrong passwords since the last successful login or lock
+    lockUntil: { type: Date }, // Sign in is refused until this time
+    lockCount: { type: Number, default: 0 }, // How many times in a row the account was locked (drives the backoff)
+
+    // Optional profile fields
+    phone: { type: String, trim: true },
+    avatarUrl: { type: String, trim: true },
+    preferences: {
+      language: { type: String, default: "en" },
+      theme: {
+        type: String,
+        enum: ["light", "dark", "system"],
+        default: "system",
+      },
+      marketingEmails: { type: Boolean, default: false },
+    },
+
+    // Email change: the new address only replaces `email` once its confirmation link is clicked
+    pendingEmail: { type: String },
+    emailChangeToken: { type: String }, // SHA-256 hash of the emailed confirmation token
+    emailChangeExpires: { type: Date },
+
+    // Passwordless sign in: one link + one 6-digit code at a time, both single-use
+    magicLinkToken: { type: String }, // SHA-256 hash of the token in the emailed link
+    magicCodeHash: { type: String }, // bcrypt hash of the 6-digit code
+    magicLinkExpires: { type: Date },
+    magicCodeAttempts: { type: Number, default: 0 }, // Wrong codes entered for the current code
+
+    // Accounts at OpenID Connect providers ("Sign in with Google") linked to this user
+    identities: [
+      {
+        _id: false,
+        provider: { type: String, required: true }, // e.g. "google"
+        subject: { type: String, required: true }, // The provider's user id (`sub` claim)
+        email: { type: String }, // Email the provider reported when linking
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
+
+    deletionScheduledAt: { type: Date }, // Account is removed at this time unless the user signs in again before
+
+    // TOTP two-factor authentication (see utils/totp.js and routes/twoFactor.js)
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String }, // Base32 secret shared with the authenticator app
+      pendingSecret: { type: String }, // Secret from /2fa/enroll, becomes `secret` once /2fa/confirm succeeds
+      recoveryCodes: [{ type: String }], // SHA-256 hashes of the unused recovery codes
+      lastUsedStep: { type: Number }, // Time step of the last accepted code, so a code can't be replayed
+      enabledAt: { type: Date },
+    },
   },
-  { timestamps: true }
-); // Automatically adds createdAt & updatedAt fields
+  {
+    timestamps: true, // Automatically adds createdAt & updatedAt fields
+    toJSON: {
+      // Never send secrets or security bookkeeping to the frontend
+      transform: (doc, ret) => {
+        delete ret.password;
+        delete ret.resetPasswordToken;
+        delete ret.resetPasswordExpires;
+        delete ret.emailChangeToken;
+        delete ret.emailChangeExpires;
+        delete ret.failedLoginAttempts;
+        delete ret.lockCount;
+        delete ret.magicLinkToken;
+        delete ret.magicCodeHash;
+        delete ret.magicLinkExpires;
+        delete ret.magicCodeAttempts;
+        ret.twoFactor = { enabled: Boolean(ret.twoFactor?.enabled) }; // only whether 2FA is on
+        return ret;
+      },
+    },
+  }
+);
+
+// One provider account can only ever be linked to one user.
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
+// MongoDB removes the user on its own when the deletion grace period is over.
+// Users without deletionScheduledAt are never touched by this index.
+userSchema.index({ deletionScheduledAt: 1 }, { expireAfterSeconds: 0 });
 
 module.exports = mongoose.model("User", userSchema);
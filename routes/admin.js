@@ -0,0 +1,379 @@
+const express = require("express");
+const User = require("../models/user");
+const AuditEvent = require("../models/auditEvent");
+const router = express.Router();
+const { body, param, query, matchedData } = require("express-validator");
+const authenticate = require("../middleware/authMiddleware");
+const requirePermission = require("../middleware/requirePermission");
+const validate = require("../middleware/validate");
+const { audit, auditContext } = require("../middleware/audit");
+const { BadRequestError, NotFoundError } = require("../utils/errors");
+const { revokeSessions } = require("../utils/tokens");
+const { ROLES, PERMISSIONS } = require("../config/roles");
+const { AUDIT_EVENT_TYPES, AUDIT_OUTCOMES } = require("../config/auditEvents");
+const { toCsv } = require("../utils/csv");
+
+// Every admin route needs a valid access token, plus the permission it names (config/roles.js). Support staff
+// can look, only admins can change things, unless an admin grants them more.
+router.use(authenticate);
+
+const userIdRule = param("id").isMongoId().withMessage("Invalid user id");
+
+// Admins must not lock themselves out by demoting or disabling their own account.
+const notSelf = (req, res, next) => {
+  if (req.params.id === String(req.user.id)) {
+    throw new BadRequestError(
+      "You cannot change your own role or status",
+      "CANNOT_CHANGE_SELF"
+    );
+  }
+  next();
+};
+
+// For the audit log of the routes that change an account: the event is about the user being changed,
+// done by the admin. Put after validate so the id is a valid ObjectId.
+const auditTarget = (req, res, next) => {
+  auditContext(res, { user: req.params.id, actor: req.user.id });
+  next();
+};
+
+// Escapes regex special characters so the search text is matched literally.
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ==================== LIST / SEARCH USERS ===============
+// GET /api/admin/users?search=ada&role=user&verified=true&disabled=false&page=1&limit=20
+router.get(
+  "/users",
+  requirePermission("users:read"),
+
+  [
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+    query("search").optional().isString().trim(),
+    query("role").optional().isIn(ROLES).withMessage("Unknown role"),
+    query("verified").optional().isBoolean().toBoolean(),
+    query("disabled").optional().isBoolean().toBoolean(),
+  ],
+  validate,
+
+  async (req, res) => {
+    // matchedData gives the sanitized values (numbers/booleans); Express 5 doesn't let us overwrite req.query.
+    const {
+      page = 1,
+      limit = 20,
+      search,
+      role,
+      verified,
+      disabled,
+    } = matchedData(req, { locations: ["query"] });
+
+    const filter = {};
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), "i");
+      filter.$or = [{ fullName: pattern }, { email: pattern }];
+    }
+    if (role) filter.role = role;
+    if (verified !== undefined) filter.verified = verified;
+    if (disabled !== undefined) filter.disabled = disabled;
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      users,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  }
+);
+
+// ==================== GET ONE USER ===============
+router.get(
+  "/users/:id",
+  requirePermission("users:read"),
+  [userIdRule],
+  validate,
+
+  async (req, res) => {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    res.status(200).json({ user });
+  }
+);
+
+// ==================== CHANGE ROLE ===============
+// The new role reaches the user's access token on their next /refresh or signin.
+router.patch(
+  "/users/:id/role",
+  audit("user_role_change"),
+  requirePermission("users:roles"),
+
+  [
+    userIdRule,
+    body("role")
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(", ")}`),
+    body("permissions")
+      .optional()
+      .isArray()
+      .withMessage("Permissions must be an array"),
+    body("permissions.*")
+      .isIn(PERMISSIONS)
+      .withMessage(`Permissions must be among: ${PERMISSIONS.join(", ")}`),
+  ],
+  validate,
+  auditTarget,
+  notSelf,
+
+  async (req, res) => {
+    const update = { role: req.body.role };
+    if (req.body.permissions) update.permissions = req.body.permissions;
+    auditContext(res, { metadata: update });
+
+    const user = await User.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+    });
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    res.status(200).json({ message: "Role updated", user });
+  }
+);
+
+// ==================== VERIFY / UNVERIFY ===============
+// For support cases where the verification email never arrived (or an address turned out to be wrong).
+router.patch(
+  "/users/:id/verification",
+  audit("user_verification_change"),
+  requirePermission("users:write"),
+
+  [
+    userIdRule,
+    body("verified")
+      .isBoolean({ strict: true })
+      .withMessage("verified must be true or false"),
+  ],
+  validate,
+  auditTarget,
+
+  async (req, res) => {
+    auditContext(res, { metadata: { verified: req.body.verified } });
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { verified: req.body.verified },
+      { new: true }
+    );
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    res.status(200).json({
+      message: user.verified ? "User verified" : "User unverified",
+      user,
+    });
+  }
+);
+
+// ==================== DISABLE / ENABLE ACCOUNT ===============
+// Disabling signs the user out everywhere; /signin and /refresh refuse disabled accounts.
+router.patch(
+  "/users/:id/status",
+  audit("user_status_change"),
+  requirePermission("users:write"),
+
+  [
+    userIdRule,
+    body("disabled")
+      .isBoolean({ strict: true })
+      .withMessage("disabled must be true or false"),
+    body("reason").optional().isString().trim().isLength({ max: 500 }),
+  ],
+  validate,
+  auditTarget,
+  notSelf,
+
+  async (req, res) => {
+    const { disabled, reason } = req.body;
+    auditContext(res, { metadata: { disabled, reason } });
+
+    const update = disabled
+      ? { disabled: true, disabledAt: new Date(), disabledReason: reason }
+      : {
+          disabled: false,
+          $unset: { disabledAt: 1, disabledReason: 1 },
+        };
+
+    const user = await User.findByIdAndUpdate(req.params.id, update, {
+      new: true,
+    });
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (disabled) {
+      await revokeSessions({ user: user._id });
+    }
+
+    res.status(200).json({
+      message: disabled ? "Account disabled" : "Account enabled",
+      user,
+    });
+  }
+);
+
+// ==================== AUDIT LOG ===============
+// Filters shared by the list and the export:
+//   ?type=signin,token_refresh&outcome=failure&user=<id>&email=ada@example.com&from=2025-01-01&to=2025-02-01
+const auditFilterRules = [
+  query("type")
+    .optional()
+    .isString()
+    .customSanitizer((value) =>
+      String(value)
+        .split(",")
+        .map((type) => type.trim())
+    )
+    .custom((types) => types.every((type) => AUDIT_EVENT_TYPES.includes(type)))
+    .withMessage(`Types must be among: ${AUDIT_EVENT_TYPES.join(", ")}`),
+  query("outcome")
+    .optional()
+    .isIn(AUDIT_OUTCOMES)
+    .withMessage(`Outcome must be one of: ${AUDIT_OUTCOMES.join(", ")}`),
+  query("user").optional().isMongoId().withMessage("Invalid user id"),
+  query("email").optional().isString().trim().toLowerCase(),
+  query("from")
+    .optional()
+    .isISO8601()
+    .withMessage("from must be an ISO 8601 date")
+    .toDate(),
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("to must be an ISO 8601 date")
+    .toDate(),
+];
+
+const auditFilter = ({ type, outcome, user, email, from, to }) => {
+  const filter = {};
+  if (type) filter.type = { $in: type };
+  if (outcome) filter.outcome = outcome;
+  if (user) filter.user = user;
+  if (email) filter.email = email;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return filter;
+};
+
+// GET /api/admin/audit-events?type=signin&outcome=failure&from=2025-01-01&page=1&limit=50
+router.get(
+  "/audit-events",
+  requirePermission("audit:read"),
+
+  [
+    ...auditFilterRules,
+    query("page").optional().isInt({ min: 1 }).toInt(),
+    query("limit").optional().isInt({ min: 1, max: 100 }).toInt(),
+  ],
+  validate,
+
+  async (req, res) => {
+    const {
+      page = 1,
+      limit = 50,
+      ...filters
+    } = matchedData(req, {
+      locations: ["query"],
+    });
+    const filter = auditFilter(filters);
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+      },
+    });
+  }
+);
+
+// Exports are capped so one request can't dump the whole collection; narrow the dates for more.
+const AUDIT_EXPORT_MAX_ROWS = 10000;
+
+const AUDIT_CSV_COLUMNS = [
+  { header: "createdAt", value: (event) => event.createdAt },
+  { header: "type", value: (event) => event.type },
+  { header: "outcome", value: (event) => event.outcome },
+  { header: "reason", value: (event) => event.reason },
+  { header: "user", value: (event) => event.user },
+  { header: "actor", value: (event) => event.actor },
+  { header: "email", value: (event) => event.email },
+  { header: "ip", value: (event) => event.ip },
+  { header: "userAgent", value: (event) => event.userAgent },
+  { header: "requestId", value: (event) => event.requestId },
+  { header: "metadata", value: (event) => event.metadata },
+];
+
+// GET /api/admin/audit-events/export?format=csv&from=2025-01-01 - same filters, as a file download.
+router.get(
+  "/audit-events/export",
+  requirePermission("audit:read"),
+
+  [
+    ...auditFilterRules,
+    query("format")
+      .optional()
+      .isIn(["csv", "json"])
+      .withMessage("Format must be csv or json"),
+  ],
+  validate,
+
+  async (req, res) => {
+    const { format = "csv", ...filters } = matchedData(req, {
+      locations: ["query"],
+    });
+
+    const events = await AuditEvent.find(auditFilter(filters))
+      .sort({ createdAt: -1 })
+      .limit(AUDIT_EXPORT_MAX_ROWS)
+      .lean();
+
+    const filename = `audit-events-${new Date()
+      .toISOString()
+      .slice(0, 10)}.${format}`;
+    res.attachment(filename);
+
+    if (format === "json") {
+      return res.status(200).json(events);
+    }
+    res.type("text/csv").status(200).send(toCsv(events, AUDIT_CSV_COLUMNS));
+  }
+);
+
+module.exports = router;
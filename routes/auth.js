@@ -1,120 +1,197 @@
 const express = require("express"); // your web framework for handling routes and requests.
 const bcrypt = require("bcryptjs"); // library used to hash passwords so they aren’t stored in plain text.
 const User = require("../models/user"); // the User model (from models/user.js) that represents users in your MongoDB database.
+const RefreshToken = require("../models/refreshToken"); // server-side record of every refresh token we issue.
+const Session = require("../models/session"); // one record per signed-in device.
+const AuditEvent = require("../models/auditEvent"); // security log: signins, password changes, ...
 const router = express.Router(); // creates an Express Router object so you can define routes separately and export them.
-const { body, validationResult } = require("express-validator");
-const jwt = require("jsonwebtoken");
+const { body, query, matchedData } = require("express-validator");
+const { keyManager } = require("../utils/jwtKeys");
+const config = require("../config");
 const authenticate = require("../middleware/authMiddleware");
-const transporter = require("../config/email");
+const rateLimit = require("../middleware/rateLimiter");
+const RATE_LIMITS = require("../config/rateLimits");
+const validate = require("../middleware/validate");
+const { audit, auditContext } = require("../middleware/audit");
+const {
+  hashToken,
+  generateTokens,
+  revokeSessions,
+} = require("../utils/tokens");
+const { checkSecondFactor } = require("../utils/twoFactor");
+const {
+  completeSignin,
+  sendTwoFactorChallenge,
+  signinIpLimiter,
+} = require("../utils/signin");
+const { sendEmail, escapeHtml } = require("../utils/email");
+const {
+  BadRequestError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  AccountLockedError,
+} = require("../utils/errors");
+const mongoose = require("mongoose");
+const crypto = require("crypto"); // Node's built-in crypto module, used for random reset tokens and hashing them.
 
-//Access Token → used in the frontend to access protected routes (like /profile, /dashboard).
-// Expiry ensures security (if stolen, it’s only valid for a short time).
-// Refresh Token → used to silently get a new access token when the old one expires.
-// Also has an expiry (longer), so the user doesn’t have to log in every hour.
+// Same password rules for every route that sets a password (signup, reset password).
+const passwordRules = (field = "password") =>
+  body(field)
+    .isLength({ min: 8 })
+    .withMessage("Password Must be at least 8 characters")
+    .matches(/\d/)
+    .withMessage("Password Must contain a number")
+    .matches(/[A-Z]/)
+    .withMessage("Password Must contain an uppercase letter");
 
-// Access token = 🔑 door key that expires quickly
-// Refresh token = 🏠 master key to get a new door key when the old one expires
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000; // Reset links expire after 30 minutes
+const EMAIL_CHANGE_TTL_MS = 60 * 60 * 1000; // Email change links expire after 1 hour
+const MAGIC_LINK_TTL_MS = 10 * 60 * 1000; // Magic links and sign-in codes expire after 10 minutes
+const MAGIC_CODE_MAX_ATTEMPTS = 5; // Wrong sign-in codes allowed before the code stops working
+const ACCOUNT_DELETION_GRACE_DAYS = config.accountDeletionGraceDays;
 
-const generateTokens = (user) => {
-  const accessToken = jwt.sign(
-    { id: user._id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN }
-  );
+// Small HTML page for links opened from an email (green on success, red on failure).
+const resultPage = (success, heading, text, linkURL) => `
+  <html>
+    <head>
+      <title>Leadway</title>
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px; background-color: #f5f5f5;">
+      <div style="background: white; padding: 40px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 500px; margin: 0 auto;">
+        <h2 style="color: ${
+          success ? "#28a745" : "#d32f2f"
+        }; margin-bottom: 20px;">${heading}</h2>
+        <p style="color: #666; font-size: 16px; margin-bottom: 30px;">${text}</p>
+        <a href="${linkURL}"
+           style="background: ${
+             success ? "#28a745" : "#007bff"
+           }; color: white; padding: 12px 24px;
+                  text-decoration: none; border-radius: 5px; display: inline-block;
+                  font-weight: bold;">
+          Back to Login
+        </a>
+      </div>
+    </body>
+  </html>
+`;
 
-  const refreshToken = jwt.sign(
-    { id: user._id, email: user.email },
-    process.env.REFRESH_TOKEN_SECRET,
-    { expiresIn: process.env.REFRESH_TOKEN_EXPIRES_IN }
+// Signs a 1-hour verification token and emails the link. Used by /signup and /resend-verification.
+const sendVerificationEmail = async (user) => {
+  const token = keyManager.sign(
+    { id: user._id, purpose: "verify_email" }, // purpose stops this token from being used as an access token
+    { expiresIn: "1h" }
   );
 
-  return { accessToken, refreshToken };
+  const verificationUrl = `${config.urls.backend}/api/auth/verify-email/${token}`;
+
+  await sendEmail("verify-email", user.email, {
+    fullName: user.fullName,
+    verificationUrl,
+  });
 };
 
+// Rate limits (numbers in config/rateLimits.js). Routes that send emails are limited per address as well
+// as per IP, so nobody can use our Gmail account to spam someone's inbox.
+const signupLimiter = rateLimit({
+  ...RATE_LIMITS.signup,
+  message:
+    "Too many accounts created from this network, please try again later",
+});
+const forgotPasswordLimiter = rateLimit({
+  ...RATE_LIMITS.forgotPassword,
+  message: "Too many password reset requests, please try again later",
+});
+const refreshLimiter = rateLimit({
+  ...RATE_LIMITS.refresh,
+  message: "Too many token refreshes, please try again later",
+});
+const resendCooldownLimiter = rateLimit({
+  ...RATE_LIMITS.resendVerificationCooldown,
+  keyGenerator: (req) => req.body.email.toLowerCase(),
+  message: "Please wait a minute before requesting another verification email",
+});
+const resendEmailLimiter = rateLimit({
+  ...RATE_LIMITS.resendVerificationEmail,
+  keyGenerator: (req) => req.body.email.toLowerCase(),
+  message: "Too many verification emails requested for this address",
+});
+const resendIpLimiter = rateLimit({
+  ...RATE_LIMITS.resendVerificationIp,
+  message: "Too many verification emails requested, please try again later",
+});
+// Same idea for magic links: they go out through the same mailbox.
+const magicLinkCooldownLimiter = rateLimit({
+  ...RATE_LIMITS.magicLinkCooldown,
+  keyGenerator: (req) => req.body.email.toLowerCase(),
+  message: "Please wait a minute before requesting another sign-in link",
+});
+const magicLinkIpLimiter = rateLimit({
+  ...RATE_LIMITS.magicLinkIp,
+  message: "Too many sign-in links requested, please try again later",
+});
+
 // ========== SIGN UP ==============
 router.post(
   "/signup",
+  audit("signup"),
 
   [
     body("fullName").notEmpty().withMessage("Full Name is required"),
     body("email").isEmail().withMessage("Please enter a valid email"),
-    body("password")
-      .isLength({ min: 8 })
-      .withMessage("Password Must be at least 8 characters")
-      .matches(/\d/)
-      .withMessage("Password Must contain a number")
-      .matches(/[A-Z]/)
-      .withMessage("Password Must contain an uppercase letter"),
+    passwordRules(),
   ],
 
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+  validate,
+  signupLimiter,
 
+  async (req, res) => {
     const { fullName, email, password } = req.body;
 
-    try {
-      // Check if user exists
-      const existingUser = await User.findOne({ email });
-      if (existingUser) {
-        return res.status(400).json({ message: "User already exists" });
-      }
-
-      // Hash the password
-      const salt = await bcrypt.genSalt(10);
-      const hashedPassword = await bcrypt.hash(password, salt);
+    // Check if user exists
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      auditContext(res, { user: existingUser._id }); // lets the owner see someone tried their address
+      throw new BadRequestError("User already exists", "EMAIL_TAKEN");
+    }
 
-      // Create new user
-      const newUser = new User({
-        fullName,
-        email,
-        password: hashedPassword,
-        verified: false,
-      });
+    // Hash the password
+    const salt = await bcrypt.genSalt(10);
+    const hashedPassword = await bcrypt.hash(password, salt);
 
-      await newUser.save();
+    // Create new user
+    const newUser = new User({
+      fullName,
+      email,
+      password: hashedPassword,
+      verified: false,
+    });
 
-      const token = jwt.sign({ id: newUser._id }, process.env.JWT_SECRET, {
-        expiresIn: "1h",
-      });
+    await newUser.save();
+    auditContext(res, { user: newUser._id });
 
-      const verificationUrl = `${
-        process.env.BACKEND_URL || "https://leadway-backend-1.onrender.com"
-      }/api/auth/verify-email/${token}`;
-
-      await transporter.sendMail({
-        from: `"Leadway" <${process.env.EMAIL_USER}>`,
-        to: email,
-        subject: "Verify Your Email",
-        html: `
-          <h2>Welcome, ${fullName}!</h2>
-          <p>Verify your email address to complete the signup and login into your account.</p>
-          <p>This link <b>expires in 1 hour</b>.</p>
-          <p>Press <a href="${verificationUrl}">here</a> to proceed.</p>
-        `,
-      });
+    await sendVerificationEmail(newUser);
 
-      res.status(201).json({
-        message:
-          "Signup successful! Please check your email to verify your account",
-      });
-    } catch (err) {
-      console.error("Signup error:", err);
-      res.status(500).json({ message: "Server error" });
-    }
+    res.status(201).json({
+      message:
+        "Signup successful! Please check your email to verify your account",
+    });
   }
 );
 //================= VERIFY ROUTE FOR EMAIL VERIFICATION AFTER SIGNING UP. When a user clicks the email verification link (that was sent during signup), this route gets hit.
 // It checks the token, and if valid, marks the user as verified in your MongoDB. ===========================
 
-router.get("/verify-email/:token", async (req, res) => {
-  try {
-    const { token } = req.params;
-    if (!token) {
-      // Return HTML error page instead of JSON
-      return res.status(400).send(`
+router.get(
+  "/verify-email/:token",
+  audit("email_verification"),
+  async (req, res) => {
+    try {
+      const { token } = req.params;
+      if (!token) {
+        auditContext(res, { reason: "TOKEN_MISSING" });
+        // Return HTML error page instead of JSON
+        return res.status(400).send(`
         <html>
           <head>
             <title>Email Verification</title>
@@ -124,10 +201,7 @@ router.get("/verify-email/:token", async (req, res) => {
             <div style="background: white; padding: 40px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 500px; margin: 0 auto;">
               <h2 style="color: #d32f2f; margin-bottom: 20px;">❌ Verification Failed</h2>
               <p style="color: #666; font-size: 16px; margin-bottom: 30px;">Verification token is missing.</p>
-              <a href="${
-                process.env.FRONTEND_URL ||
-                "https://leadway-frontend-yqdj.vercel.app/login"
-              }" 
+              <a href="${config.urls.frontend}/login" 
                  style="background: #007bff; color: white; padding: 12px 24px; 
                         text-decoration: none; border-radius: 5px; display: inline-block; 
                         font-weight: bold;">
@@ -137,19 +211,21 @@ router.get("/verify-email/:token", async (req, res) => {
           </body>
         </html>
       `);
-    }
+      }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const decoded = keyManager.verify(token, { purpose: "verify_email" });
+      auditContext(res, { user: decoded.id });
 
-    const user = await User.findOneAndUpdate(
-      { _id: decoded.id },
-      { verified: true },
-      { new: true }
-    );
+      const user = await User.findOneAndUpdate(
+        { _id: decoded.id },
+        { verified: true },
+        { new: true }
+      );
 
-    if (!user) {
-      // Return HTML error page instead of JSON
-      return res.status(400).send(`
+      if (!user) {
+        auditContext(res, { reason: "USER_NOT_FOUND" });
+        // Return HTML error page instead of JSON
+        return res.status(400).send(`
         <html>
           <head>
             <title>Email Verification</title>
@@ -159,10 +235,7 @@ router.get("/verify-email/:token", async (req, res) => {
             <div style="background: white; padding: 40px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 500px; margin: 0 auto;">
               <h2 style="color: #d32f2f; margin-bottom: 20px;">❌ User Not Found</h2>
               <p style="color: #666; font-size: 16px; margin-bottom: 30px;">The user associated with this token could not be found.</p>
-              <a href="${
-                process.env.FRONTEND_URL ||
-                "https://leadway-frontend-yqdj.vercel.app/login"
-              }" 
+              <a href="${config.urls.frontend}/login" 
                  style="background: #007bff; color: white; padding: 12px 24px; 
                         text-decoration: none; border-radius: 5px; display: inline-block; 
                         font-weight: bold;">
@@ -172,13 +245,12 @@ router.get("/verify-email/:token", async (req, res) => {
           </body>
         </html>
       `);
-    }
+      }
 
-    const frontendURL =
-      process.env.FRONTEND_URL || "https://leadway-frontend-yqdj.vercel.app";
+      const frontendURL = config.urls.frontend;
 
-    // Replace redirect with HTML success page
-    return res.send(`
+      // Replace redirect with HTML success page
+      return res.send(`
       <html>
         <head>
           <title>Email Verification Success</title>
@@ -187,28 +259,30 @@ router.get("/verify-email/:token", async (req, res) => {
         <body style="font-family: Arial, sans-serif; text-align: center; padding: 50px; background-color: #f5f5f5;">
           <div style="background: white; padding: 40px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); max-width: 500px; margin: 0 auto;">
             <h2 style="color: #28a745; margin-bottom: 20px;">✅ Email Verified Successfully!</h2>
-            <p style="color: #666; font-size: 16px; margin-bottom: 10px;">Welcome, <strong>${user.fullName}</strong>!</p>
+            <p style="color: #666; font-size: 16px; margin-bottom: 10px;">Welcome, <strong>${escapeHtml(
+              user.fullName
+            )}</strong>!</p>
             <p style="color: #666; font-size: 16px; margin-bottom: 30px;">Your account has been verified successfully. You can now login to your account.</p>
-            <a href="${frontendURL}/login?verified=true&email=${user.email}" 
+            <a href="${frontendURL}/login?verified=true&email=${encodeURIComponent(
+        user.email
+      )}" 
                style="background: #28a745; color: white; padding: 12px 24px; 
                       text-decoration: none; border-radius: 5px; display: inline-block; 
-                      font-weight: bold; transition: background-color 0.3s;"
-               onmouseover="this.style.backgroundColor='#218838'" 
-               onmouseout="this.style.backgroundColor='#28a745'">
+                      font-weight: bold;">
               Back to Login
             </a>
           </div>
         </body>
       </html>
     `);
-  } catch (err) {
-    console.error("Verify error:", err);
+    } catch (err) {
+      req.log.warn("Verify error", { err });
+      auditContext(res, { reason: "INVALID_TOKEN" });
 
-    const frontendURL =
-      process.env.FRONTEND_URL || "https://leadway-frontend-yqdj.vercel.app";
+      const frontendURL = config.urls.frontend;
 
-    // Return HTML error page instead of JSON
-    res.status(400).send(`
+      // Return HTML error page instead of JSON
+      res.status(400).send(`
       <html>
         <head>
           <title>Email Verification</title>
@@ -228,123 +302,998 @@ router.get("/verify-email/:token", async (req, res) => {
         </body>
       </html>
     `);
+    }
   }
-});
+);
+// ============ BRUTE-FORCE PROTECTION FOR SIGNIN ===================
+// After MAX_FAILED_LOGINS wrong passwords the account is locked. Each lock in a row doubles the lock time
+// (15 min, 30 min, 1 h, ...) up to a day. A successful login resets everything.
+const MAX_FAILED_LOGINS = config.signin.maxFailedAttempts;
+const LOCKOUT_BASE_MS = config.signin.lockoutMinutes * 60 * 1000;
+const LOCKOUT_MAX_MS = 24 * 60 * 60 * 1000;
+
+const sendSuspiciousSigninEmail = (user, ip) =>
+  sendEmail("suspicious-signin", user.email, {
+    fullName: user.fullName,
+    ip: ip || "unknown",
+    lockUntil: user.lockUntil.toUTCString(),
+  });
+
+// Counts a wrong password ($inc so parallel attempts can't overwrite each other). Returns the lock end when the account got locked.
+const registerFailedLogin = async (user, req) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (updated.failedLoginAttempts < MAX_FAILED_LOGINS) {
+    return null;
+  }
+
+  const lockMs = Math.min(
+    LOCKOUT_BASE_MS * 2 ** updated.lockCount,
+    LOCKOUT_MAX_MS
+  );
+  updated.lockUntil = new Date(Date.now() + lockMs);
+  updated.lockCount += 1;
+  updated.failedLoginAttempts = 0;
+  await updated.save();
+
+  // The warning email must not break the response
+  sendSuspiciousSigninEmail(updated, req.ip).catch((err) =>
+    req.log.error("Suspicious sign-in email error", { err })
+  );
+
+  return updated.lockUntil;
+};
+
+// ============ RESEND VERIFICATION EMAIL ===================
+// For users whose link expired or who got EMAIL_NOT_VERIFIED at signin.
+// Same answer whether or not the email exists, so this can't be used to look up accounts.
+router.post(
+  "/resend-verification",
+  audit("verification_resend"),
+
+  [
+    body("email")
+      .isString()
+      .withMessage("Please enter a valid email")
+      .bail()
+      .isEmail()
+      .withMessage("Please enter a valid email"),
+  ],
+
+  validate,
+
+  resendIpLimiter,
+  resendEmailLimiter,
+  resendCooldownLimiter,
+
+  async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) auditContext(res, { user: user._id });
+
+    // Only unverified accounts get a new link
+    if (user && !user.verified) {
+      await sendVerificationEmail(user);
+    }
+
+    res.status(200).json({
+      message:
+        "If your account still needs verification, a new email has been sent",
+    });
+  }
+);
+
 // ============ LOGIN/SIGNIN ===================
 router.post(
   "/signin",
+  audit("signin", { method: "password" }),
 
   [
     body("email").isEmail().withMessage("Please enter a valid email"),
     body("password").notEmpty().withMessage("Password is required"),
   ],
 
+  signinIpLimiter,
+
+  validate,
+
   async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
+    const { email, password } = req.body;
+
+    // Check if user exists
+    const existingUser = await User.findOne({ email });
+    if (!existingUser) {
+      // The audit log can be more precise than the response
+      auditContext(res, { reason: "UNKNOWN_EMAIL" });
+      throw new BadRequestError(
+        "Invalid email or password",
+        "INVALID_CREDENTIALS"
+      );
     }
 
-    const { email, password } = req.body;
+    auditContext(res, { user: existingUser._id });
 
-    try {
-      // Check if user exists
-      const existingUser = await User.findOne({ email });
-      if (!existingUser) {
-        return res.status(400).json({ message: "Invalid email or password" });
+    // Refuse straight away while the account is locked, without even checking the password
+    if (existingUser.lockUntil && existingUser.lockUntil > Date.now()) {
+      throw new AccountLockedError(existingUser.lockUntil);
+    }
+
+    // Check if user is verified
+    if (!existingUser.verified) {
+      throw new AuthError(
+        "Please verify your email before logging in.",
+        "EMAIL_NOT_VERIFIED"
+      );
+    }
+
+    // Compare passwords
+    const isMatch = await bcrypt.compare(password, existingUser.password);
+    if (!isMatch) {
+      const lockUntil = await registerFailedLogin(existingUser, req);
+      if (lockUntil) {
+        throw new AccountLockedError(lockUntil);
       }
+      auditContext(res, { reason: "WRONG_PASSWORD" });
+      throw new BadRequestError(
+        "Invalid email or password",
+        "INVALID_CREDENTIALS"
+      );
+    }
 
-      // Check if user is verified
-      if (!existingUser.verified) {
-        return res.status(401).json({
-          message: "Please verify your email before logging in.",
-          needsVerification: true, // Optional: helps frontend handle this case
-        });
+    // Disabled by an admin. Checked after the password so it doesn't reveal anything to strangers.
+    if (existingUser.disabled) {
+      throw new ForbiddenError(
+        "This account has been disabled",
+        "ACCOUNT_DISABLED"
+      );
+    }
+
+    // With 2FA on, the password alone isn't enough
+    if (existingUser.twoFactor.enabled) {
+      return sendTwoFactorChallenge(existingUser, res);
+    }
+
+    await completeSignin(existingUser, req, res);
+  }
+);
+
+// ============ SIGNIN STEP 2: TWO-FACTOR CODE ===================
+// Exchanges the challenge token from /signin plus a code from the authenticator app
+// (or one of the recovery codes) for the access/refresh tokens.
+router.post(
+  "/signin/2fa",
+  audit("signin", { method: "2fa" }),
+
+  [
+    body("challengeToken")
+      .notEmpty()
+      .withMessage("Challenge token is required"),
+    body("code").notEmpty().withMessage("Authentication code is required"),
+  ],
+
+  signinIpLimiter,
+
+  validate,
+
+  async (req, res) => {
+    let challenge;
+    try {
+      challenge = keyManager.verify(req.body.challengeToken, {
+        purpose: "2fa_challenge",
+      });
+    } catch (err) {
+      challenge = null;
+    }
+    if (!challenge || challenge.purpose !== "2fa_challenge") {
+      throw new AuthError(
+        "Invalid or expired sign-in challenge",
+        "INVALID_CHALLENGE"
+      );
+    }
+
+    auditContext(res, { user: challenge.id });
+
+    const user = await User.findById(challenge.id);
+    if (!user || !user.twoFactor.enabled) {
+      throw new AuthError(
+        "Invalid or expired sign-in challenge",
+        "INVALID_CHALLENGE"
+      );
+    }
+
+    if (user.lockUntil && user.lockUntil > Date.now()) {
+      throw new AccountLockedError(user.lockUntil);
+    }
+
+    if (user.disabled) {
+      throw new ForbiddenError(
+        "This account has been disabled",
+        "ACCOUNT_DISABLED"
+      );
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const method = checkSecondFactor(user, req.body.code);
+    auditContext(res, { metadata: { secondFactor: method || undefined } });
+    if (!method) {
+      const lockUntil = await registerFailedLogin(user, req);
+      if (lockUntil) {
+        throw new AccountLockedError(lockUntil);
       }
+      throw new BadRequestError(
+        "Invalid authentication code",
+        "INVALID_2FA_CODE"
+      );
+    }
+
+    await completeSignin(user, req, res); // also saves the used code / recovery code
+  }
+);
+
+// ============ PASSWORDLESS SIGNIN: REQUEST MAGIC LINK ===================
+// Emails a single-use sign-in link plus a 6-digit code (for signing in on another device than the one reading the email).
+// Same answer whether or not the email exists.
+router.post(
+  "/magic-link",
+  audit("magic_link_request"),
+
+  [
+    body("email")
+      .isString()
+      .withMessage("Please enter a valid email")
+      .bail()
+      .isEmail()
+      .withMessage("Please enter a valid email"),
+  ],
+
+  validate,
 
-      // Compare passwords
-      const isMatch = await bcrypt.compare(password, existingUser.password);
-      if (!isMatch) {
-        return res.status(400).json({ message: "Invalid email or password" });
+  magicLinkIpLimiter,
+  magicLinkCooldownLimiter,
+
+  async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) auditContext(res, { user: user._id });
+
+    if (user && !user.disabled) {
+      // The link token is long and random → SHA-256 is enough. The code only has a million
+      // possible values, so it gets a slow bcrypt hash like a password.
+      const token = crypto.randomBytes(32).toString("hex");
+      const code = crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+      user.magicLinkToken = hashToken(token);
+      user.magicCodeHash = await bcrypt.hash(code, 10);
+      user.magicLinkExpires = new Date(Date.now() + MAGIC_LINK_TTL_MS);
+      user.magicCodeAttempts = 0;
+      await user.save();
+
+      const magicLinkUrl = `${config.urls.frontend}/magic-link/${token}`;
+
+      await sendEmail("magic-link", user.email, {
+        fullName: user.fullName,
+        magicLinkUrl,
+        code,
+      });
+    }
+
+    res.status(200).json({
+      message:
+        "If an account with that email exists, a sign-in link and code have been sent",
+    });
+  }
+);
+
+// ============ PASSWORDLESS SIGNIN: VERIFY LINK OR CODE ===================
+// Send { token } (from the link) or { email, code }. Returns the same tokens as /signin.
+router.post(
+  "/magic-link/verify",
+  audit("signin", { method: "magic_link" }),
+
+  [
+    body("token")
+      .optional()
+      .isString()
+      .withMessage("Invalid or expired sign-in link"),
+    body("email")
+      .if(body("token").not().exists())
+      .isString()
+      .withMessage("Please enter a valid email")
+      .bail()
+      .isEmail()
+      .withMessage("Please enter a valid email"),
+    body("code")
+      .if(body("token").not().exists())
+      .isString()
+      .withMessage("Code must be 6 digits")
+      .bail()
+      .matches(/^\d{6}$/)
+      .withMessage("Code must be 6 digits"),
+  ],
+
+  signinIpLimiter,
+
+  validate,
+
+  async (req, res) => {
+    const { token, email, code } = req.body;
+    const invalid = () =>
+      new BadRequestError(
+        "Invalid or expired sign-in link or code",
+        "INVALID_MAGIC_LINK"
+      );
+
+    let user;
+
+    if (token) {
+      user = await User.findOne({
+        magicLinkToken: hashToken(token),
+        magicLinkExpires: { $gt: new Date() },
+      });
+      if (!user) throw invalid();
+      auditContext(res, { user: user._id });
+    } else {
+      user = await User.findOne({
+        email,
+        magicLinkExpires: { $gt: new Date() },
+      });
+      if (!user || !user.magicCodeHash) throw invalid();
+      auditContext(res, { user: user._id });
+
+      // Count the attempt first ($inc so parallel guesses are all counted), then check the code
+      const { magicCodeAttempts } = await User.findByIdAndUpdate(
+        user._id,
+        { $inc: { magicCodeAttempts: 1 } },
+        { new: true }
+      );
+      if (magicCodeAttempts > MAGIC_CODE_MAX_ATTEMPTS) {
+        await User.updateOne(
+          { _id: user._id },
+          {
+            $unset: {
+              magicLinkToken: 1,
+              magicCodeHash: 1,
+              magicLinkExpires: 1,
+            },
+          }
+        );
+        throw new BadRequestError(
+          "Too many wrong codes. Please request a new sign-in code",
+          "TOO_MANY_ATTEMPTS"
+        );
       }
 
-      // Generate Tokens with error handling
-      try {
-        const { accessToken, refreshToken } = generateTokens(existingUser);
-
-        // Send successful response
-        res.status(200).json({
-          message: "Login Successful",
-          accessToken,
-          refreshToken,
-          user: {
-            id: existingUser._id,
-            fullName: existingUser.fullName,
-            email: existingUser.email, // Added email for frontend use
-          },
-        });
-      } catch (tokenError) {
-        console.error("Token generation error:", tokenError);
-        return res
-          .status(500)
-          .json({ message: "Failed to generate authentication tokens" });
+      if (!(await bcrypt.compare(code, user.magicCodeHash))) {
+        throw invalid();
       }
-    } catch (err) {
-      console.error("Signin error:", err);
-      res.status(500).json({ message: "Server Error" });
     }
+
+    if (user.disabled) {
+      throw new ForbiddenError(
+        "This account has been disabled",
+        "ACCOUNT_DISABLED"
+      );
+    }
+
+    // Single use: the link and the code die together
+    user.magicLinkToken = undefined;
+    user.magicCodeHash = undefined;
+    user.magicLinkExpires = undefined;
+    user.magicCodeAttempts = 0;
+    user.verified = true; // they just proved they own the email address
+    await user.save();
+
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+
+    await completeSignin(user, req, res);
   }
 );
 
 // ================= REFRESH NEW TOKEN ==================
-router.post("/refresh", (req, res) => {
-  // This route will be hit when a client (frontend) sends a refresh request.
-  const { refreshToken } = req.body; // Destructures refreshToken from the request body.
+// Each refresh token can only be used once: using it returns a new access token AND a new refresh token (rotation).
+// If an already-rotated token shows up again, someone else has a copy of it, so the whole session is revoked.
+router.post(
+  "/refresh",
+  audit("token_refresh"),
+  refreshLimiter,
+  async (req, res) => {
+    const refreshToken = req.body?.refreshToken; // No body at all (no JSON content type) leaves req.body undefined.
 
-  if (!refreshToken) {
-    return res.status(401).json({ message: "No refresh token provided" }); // If no token is sent → respond with 401 Unauthorized.
-  }
+    if (!refreshToken) {
+      throw new AuthError("No refresh token provided", "REFRESH_TOKEN_MISSING"); // If no token is sent → respond with 401 Unauthorized.
+    }
 
-  jwt.verify(
-    // checks if: The token is valid (not expired, not tampered with). It was signed with your REFRESH_TOKEN_SECRET. If verification succeeds, it gives you the payload (userData).
-    refreshToken,
-    process.env.REFRESH_TOKEN_SECRET,
-    (err, userData) => {
-      if (err) {
-        return res.status(403).json({ message: "Invalid refresh token" });
+    try {
+      // Checks the token is valid (not expired, not tampered with), signed with one of our keys and a refresh token.
+      keyManager.verify(refreshToken, { purpose: "refresh" });
+    } catch (err) {
+      throw new ForbiddenError("Invalid refresh token", "INVALID_TOKEN");
+    }
+
+    const tokenHash = hashToken(refreshToken);
+
+    // Atomically mark the token as used, so two requests can't both rotate the same token.
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+    if (stored) {
+      auditContext(res, {
+        user: stored.user,
+        metadata: { sessionId: stored.session },
+      });
+    }
+
+    if (!stored) {
+      const used = await RefreshToken.findOne({ tokenHash });
+      if (used && used.replacedBy) {
+        // Reuse of a rotated token → treat the session as compromised
+        await revokeSessions({ _id: used.session });
+        auditContext(res, {
+          user: used.user,
+          reason: "REFRESH_TOKEN_REUSED",
+          metadata: { sessionId: used.session },
+        });
+        req.log.warn("Refresh token reuse detected, session revoked", {
+          userId: used.user,
+          sessionId: used.session,
+        });
       }
+      throw new ForbiddenError("Invalid refresh token", "INVALID_TOKEN");
+    }
 
-      // Generate new access Token
-      const accessToken = jwt.sign(
-        // Creates a brand new access token with:
-        { id: userData.id, email: userData.email }, // id + email from the refresh token.
-        process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN }
+    const session = await Session.findOne({
+      _id: stored.session,
+      revokedAt: null,
+    });
+    const user = session && (await User.findById(stored.user));
+    if (!user) {
+      throw new ForbiddenError("Invalid refresh token", "INVALID_TOKEN");
+    }
+
+    if (user.disabled) {
+      await revokeSessions({ _id: session._id });
+      throw new ForbiddenError(
+        "This account has been disabled",
+        "ACCOUNT_DISABLED"
       );
+    }
+
+    session.ip = req.ip; // keep track of where the session was last used from
+    const tokens = await generateTokens(user, session);
+    stored.replacedBy = hashToken(tokens.refreshToken);
+    await stored.save();
+
+    res.json(tokens); // Client replaces BOTH stored tokens with these new ones.
+  }
+); // So, the refresh route is like a bridge to keep users logged in without forcing them to type their email/password every time the short access token dies.
+
+// ================= LOGOUT ==================
+// Revokes the session of this device. Works even if the access token has already expired.
+router.post(
+  "/logout",
+  audit("logout"),
+
+  // Missing is REFRESH_TOKEN_MISSING below; anything but a string can't be a token
+  [
+    body("refreshToken")
+      .optional()
+      .isString()
+      .withMessage("Refresh token must be a string"),
+  ],
+
+  validate,
+
+  async (req, res) => {
+    const refreshToken = req.body?.refreshToken;
 
-      res.json({ accessToken }); // Sends the new token back to the client. Client replaces the old expired access token with this new one.
+    if (!refreshToken) {
+      throw new AuthError("No refresh token provided", "REFRESH_TOKEN_MISSING"); // Same 401 as /refresh
     }
-  );
-}); // So, the refresh route is like a bridge to keep users logged in without forcing them to type their email/password every time the short access token dies.
+
+    const stored = await RefreshToken.findOne({
+      tokenHash: hashToken(refreshToken),
+    });
+    if (stored) {
+      await revokeSessions({ _id: stored.session });
+      auditContext(res, {
+        user: stored.user,
+        metadata: { sessionId: stored.session },
+      });
+    }
+
+    // Same answer whether or not the token was known: logging out twice is fine.
+    res.status(200).json({ message: "Logged out successfully" });
+  }
+);
+
+// ================= LOGOUT FROM ALL DEVICES ==================
+// Revokes every session of the logged-in user. Access tokens already issued stay valid until they expire.
+router.post(
+  "/logout-all",
+  audit("logout_all"),
+  authenticate,
+  async (req, res) => {
+    await revokeSessions({ user: req.user.id });
+    res.status(200).json({ message: "Logged out from all devices" });
+  }
+);
+
+// ================= FORGOT PASSWORD ==================
+// Always answers with the same message so nobody can use this route to find out which emails are registered.
+router.post(
+  "/forgot-password",
+  audit("password_reset_request"),
+
+  [body("email").isEmail().withMessage("Please enter a valid email")],
+
+  validate,
+  forgotPasswordLimiter,
+
+  async (req, res) => {
+    const { email } = req.body;
+    const genericResponse = {
+      message:
+        "If an account with that email exists, a password reset link has been sent",
+    };
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(200).json(genericResponse);
+    }
+    auditContext(res, { user: user._id });
+
+    // Random single-use token: the raw value goes in the email, only its hash is saved.
+    const resetToken = crypto.randomBytes(32).toString("hex");
+    user.resetPasswordToken = hashToken(resetToken);
+    user.resetPasswordExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+    await user.save();
+
+    const resetUrl = `${config.urls.frontend}/reset-password/${resetToken}`;
+
+    await sendEmail("reset-password", user.email, {
+      fullName: user.fullName,
+      resetUrl,
+    });
+
+    res.status(200).json(genericResponse);
+  }
+);
+
+// ================= RESET PASSWORD ==================
+router.post(
+  "/reset-password/:token",
+  audit("password_reset"),
+
+  [passwordRules()],
+
+  validate,
+
+  async (req, res) => {
+    // Only a matching, unexpired token works. Clearing it below makes the link single-use.
+    const user = await User.findOne({
+      resetPasswordToken: hashToken(req.params.token),
+      resetPasswordExpires: { $gt: new Date() },
+    });
+    if (!user) {
+      throw new BadRequestError(
+        "Invalid or expired password reset token",
+        "INVALID_TOKEN"
+      );
+    }
+    auditContext(res, { user: user._id });
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(req.body.password, salt);
+    user.passwordChangedAt = new Date();
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    // A new password logs the user out everywhere, in case a refresh token was stolen.
+    await revokeSessions({ user: user._id });
+
+    res.status(200).json({
+      message:
+        "Password has been reset. You can now login with your new password",
+    });
+  }
+);
 
 // ==================== //  PROTECTED ROUTE : ONLY ACCESSIBLE WITH A VALID ACCESS TOKEN ===============
-router.get("/profile", authenticate, async (req, res) => {
-  try {
+router.get(
+  "/profile",
+  audit("profile_access"),
+  authenticate,
+  async (req, res) => {
     // req.user is attached by the authenticate middleware after verifying token
     const userData = await User.findById(req.user.id).select("-password"); // exclude password
     if (!userData) {
-      return res.status(404).json({ message: "User not found" });
+      throw new NotFoundError("User not found");
     }
 
     res.status(200).json({
       message: "Protected route accessed",
       user: userData, // sends user info to frontend
     });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: "Server Error" });
   }
+);
+
+// ==================== UPDATE PROFILE ===============
+// Only the fields sent are changed. Email and password have their own routes below.
+router.patch(
+  "/profile",
+  audit("profile_update"),
+  authenticate,
+
+  [
+    body("fullName")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Full Name cannot be empty"),
+    body("phone")
+      .optional({ values: "falsy" })
+      .matches(/^\+?[0-9 ()-]{7,20}$/)
+      .withMessage("Please enter a valid phone number"),
+    body("avatarUrl")
+      .optional({ values: "falsy" })
+      .isURL({ protocols: ["http", "https"], require_protocol: true })
+      .withMessage("Avatar must be a valid http(s) URL"),
+    body("preferences")
+      .optional()
+      .isObject()
+      .withMessage("Preferences must be an object"),
+    body("preferences.language")
+      .optional()
+      .isLocale()
+      .withMessage("Language must be a valid locale, e.g. en or fr-FR"),
+    body("preferences.theme")
+      .optional()
+      .isIn(["light", "dark", "system"])
+      .withMessage("Theme must be light, dark or system"),
+    body("preferences.marketingEmails")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("marketingEmails must be true or false"),
+  ],
+
+  validate,
+
+  async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    // Copy only the allowed fields, so nobody can set `verified`, `email`, ... through this route
+    const { fullName, phone, avatarUrl, preferences = {} } = req.body;
+    if (fullName !== undefined) user.fullName = fullName;
+    if (phone !== undefined) user.phone = phone || undefined;
+    if (avatarUrl !== undefined) user.avatarUrl = avatarUrl || undefined;
+    for (const key of ["language", "theme", "marketingEmails"]) {
+      if (preferences[key] !== undefined) {
+        user.preferences[key] = preferences[key];
+      }
+    }
+
+    auditContext(res, { metadata: { fields: user.directModifiedPaths() } });
+    await user.save();
+
+    res.status(200).json({ message: "Profile updated", user });
+  }
+);
+
+// ==================== CHANGE PASSWORD ===============
+// Needs the current password. Every other device is signed out afterwards.
+router.post(
+  "/change-password",
+  audit("password_change"),
+  authenticate,
+
+  [
+    body("currentPassword")
+      .notEmpty()
+      .withMessage("Current password is required"),
+    passwordRules("newPassword"),
+  ],
+
+  validate,
+
+  async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    if (!isMatch) {
+      throw new BadRequestError(
+        "Current password is incorrect",
+        "INCORRECT_PASSWORD"
+      );
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(newPassword, salt);
+    user.passwordChangedAt = new Date();
+    // A pending reset link must not work with the new password in place
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    await revokeSessions({
+      user: user._id,
+      _id: { $ne: req.user.sessionId },
+    });
+
+    res.status(200).json({ message: "Password changed successfully" });
+  }
+);
+
+// ==================== CHANGE EMAIL ===============
+// The new address is only saved as `pendingEmail`. It replaces the current email once the link sent to it is clicked.
+router.post(
+  "/change-email",
+  audit("email_change_request"),
+  authenticate,
+
+  [
+    body("newEmail").isEmail().withMessage("Please enter a valid email"),
+    body("password").notEmpty().withMessage("Password is required"),
+  ],
+
+  validate,
+
+  async (req, res) => {
+    const { newEmail, password } = req.body;
+    auditContext(res, { metadata: { newEmail } });
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      throw new BadRequestError("Password is incorrect", "INCORRECT_PASSWORD");
+    }
+
+    if (newEmail === user.email) {
+      throw new BadRequestError(
+        "New email is the same as your current email",
+        "SAME_EMAIL"
+      );
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      throw new BadRequestError("Email is already in use", "EMAIL_TAKEN");
+    }
+
+    const changeToken = crypto.randomBytes(32).toString("hex");
+    user.pendingEmail = newEmail;
+    user.emailChangeToken = hashToken(changeToken);
+    user.emailChangeExpires = new Date(Date.now() + EMAIL_CHANGE_TTL_MS);
+    await user.save();
+
+    const confirmUrl = `${config.urls.backend}/api/auth/confirm-email-change/${changeToken}`;
+
+    await sendEmail("confirm-email-change", newEmail, {
+      fullName: user.fullName,
+      confirmUrl,
+    });
+
+    res.status(200).json({
+      message: "Please check your new email address to confirm the change",
+    });
+  }
+);
+
+// ==================== CONFIRM EMAIL CHANGE ===============
+// Opened from the email link, so it answers with an HTML page like /verify-email.
+router.get(
+  "/confirm-email-change/:token",
+  audit("email_change"),
+  async (req, res) => {
+    const loginURL = `${config.urls.frontend}/login`;
+
+    try {
+      const user = await User.findOne({
+        emailChangeToken: hashToken(req.params.token),
+        emailChangeExpires: { $gt: new Date() },
+      });
+      if (!user) {
+        auditContext(res, { reason: "INVALID_TOKEN" });
+        return res
+          .status(400)
+          .send(
+            resultPage(
+              false,
+              "❌ Email Change Failed",
+              "Invalid or expired confirmation link. Please request the change again.",
+              loginURL
+            )
+          );
+      }
+
+      auditContext(res, {
+        user: user._id,
+        metadata: { from: user.email, to: user.pendingEmail },
+      });
+
+      // Someone may have signed up with that address in the meantime
+      if (await User.exists({ email: user.pendingEmail })) {
+        auditContext(res, { reason: "EMAIL_TAKEN" });
+        return res
+          .status(400)
+          .send(
+            resultPage(
+              false,
+              "❌ Email Change Failed",
+              "This email address is already in use by another account.",
+              loginURL
+            )
+          );
+      }
+
+      const newEmail = user.pendingEmail;
+      user.email = newEmail;
+      user.verified = true; // clicking the link proves the new address belongs to the user
+      user.pendingEmail = undefined;
+      user.emailChangeToken = undefined;
+      user.emailChangeExpires = undefined;
+      await user.save();
+
+      res.send(
+        resultPage(
+          true,
+          "✅ Email Changed Successfully!",
+          `Your account email is now <strong>${escapeHtml(
+            newEmail
+          )}</strong>. Use it the next time you login.`,
+          loginURL
+        )
+      );
+    } catch (err) {
+      req.log.error("Confirm email change error", { err });
+      res
+        .status(500)
+        .send(
+          resultPage(
+            false,
+            "❌ Email Change Failed",
+            "Something went wrong. Please try again later.",
+            loginURL
+          )
+        );
+    }
+  }
+);
+
+// ==================== DELETE ACCOUNT ===============
+// Needs the password. The account is only scheduled for deletion: signing in again during the
+// grace period cancels it, otherwise MongoDB removes the user when deletionScheduledAt is reached.
+router.delete(
+  "/account",
+  audit("account_deletion_request"),
+  authenticate,
+
+  [body("password").notEmpty().withMessage("Password is required")],
+
+  validate,
+
+  async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    const isMatch = await bcrypt.compare(req.body.password, user.password);
+    if (!isMatch) {
+      throw new BadRequestError("Password is incorrect", "INCORRECT_PASSWORD");
+    }
+
+    user.deletionScheduledAt = new Date(
+      Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000
+    );
+    await user.save();
+
+    await revokeSessions({ user: user._id }); // sign out everywhere
+
+    res.status(200).json({
+      message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Sign in again before then to cancel.`,
+      deletionScheduledAt: user.deletionScheduledAt,
+    });
+  }
+);
+
+// ==================== ACTIVE SESSIONS ===============
+// Lists every device the user is currently signed in on, newest activity first.
+router.get("/sessions", authenticate, async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    sessions: sessions.map((session) => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      current: String(session._id) === String(req.user.sessionId), // the session making this request
+    })),
+  });
 });
+
+// ==================== REVOKE ONE SESSION ===============
+// Signs a single device out. Its refresh token stops working immediately.
+router.delete(
+  "/sessions/:id",
+  audit("session_revoke"),
+  authenticate,
+  async (req, res) => {
+    auditContext(res, { metadata: { sessionId: req.params.id } });
+
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      throw new NotFoundError("Session not found");
+    }
+
+    // Filtering on user as well means nobody can revoke another user's session.
+    const revoked = await revokeSessions({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+    if (!revoked) {
+      throw new NotFoundError("Session not found");
+    }
+
+    res.status(200).json({ message: "Session revoked" });
+  }
+);
+
+// ==================== RECENT SECURITY ACTIVITY ===============
+// GET /api/auth/activity?limit=20 - the user's own audit log, newest first, so they can spot
+// signins or changes they don't recognise.
+router.get(
+  "/activity",
+  authenticate,
+  [query("limit").optional().isInt({ min: 1, max: 100 }).toInt()],
+  validate,
+
+  async (req, res) => {
+    const { limit = 20 } = matchedData(req, { locations: ["query"] });
+
+    const events = await AuditEvent.find({ user: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.status(200).json({
+      events: events.map((event) => ({
+        id: event._id,
+        type: event.type,
+        outcome: event.outcome,
+        reason: event.reason,
+        ip: event.ip,
+        device: event.device,
+        userAgent: event.userAgent,
+        metadata: event.metadata,
+        byAdmin: Boolean(event.actor), // e.g. an admin disabled the account
+        createdAt: event.createdAt,
+      })),
+    });
+  }
+);
+
 module.exports = router;
 
 //Here’s the breakdown:
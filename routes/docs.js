@@ -0,0 +1,79 @@
+// API documentation, generated from the routes (see utils/openapi.js):
+//   GET /api/docs              → Swagger UI, to browse the API and try requests
+//   GET /api/docs/openapi.json → the OpenAPI 3 document, for client generators and Postman
+//   GET /api/docs/assets/*     → Swagger UI's script and styles
+
+const express = require("express");
+const crypto = require("crypto");
+const swaggerUiPath = require("swagger-ui-dist/absolute-path")(); // not the package itself: that loads the bundle into Node
+const router = express.Router();
+const config = require("../config");
+const { buildOpenApiDocument } = require("../utils/openapi");
+
+// Swagger UI is served from our own node_modules, not a CDN: the page runs next to pages that handle
+// tokens, so only code we install (and lock in package-lock.json) may run on our origin.
+const SWAGGER_UI_FILES = ["swagger-ui.css", "swagger-ui-bundle.js"];
+
+// Built on first use: routes/index.js (which lists this router) isn't fully loaded when this file is.
+// The routes don't change while the process runs, so once is enough.
+let document;
+const openApiDocument = () => {
+  if (!document) {
+    document = buildOpenApiDocument(require("./index"));
+  }
+  return document;
+};
+
+// ==================== SWAGGER UI ===============
+router.get("/", (req, res) => {
+  // Our CSP (middleware/securityHeaders.js) allows no scripts at all. This page needs Swagger UI's
+  // script and styles, its own inline script (allowed by nonce only) and requests to the API.
+  const nonce = crypto.randomBytes(16).toString("base64");
+  res.set(
+    "Content-Security-Policy",
+    [
+      "default-src 'none'",
+      `script-src 'self' 'nonce-${nonce}'`,
+      "style-src 'self' 'unsafe-inline'",
+      "img-src 'self' data:",
+      `connect-src 'self' ${config.urls.backend}`,
+      "base-uri 'none'",
+      "form-action 'none'",
+      "frame-ancestors 'none'",
+    ].join("; ")
+  );
+
+  res.type("html").send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <title>Leadway API</title>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <link rel="stylesheet" href="${req.baseUrl}/assets/swagger-ui.css">
+  </head>
+  <body>
+    <div id="docs"></div>
+    <script src="${req.baseUrl}/assets/swagger-ui-bundle.js"></script>
+    <script nonce="${nonce}">
+      SwaggerUIBundle({ url: "${req.baseUrl}/openapi.json", dom_id: "#docs" });
+    </script>
+  </body>
+</html>`);
+});
+
+// ==================== OPENAPI DOCUMENT ===============
+router.get("/openapi.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=300"); // nothing private in it, unlike the rest of the API
+  res.status(200).json(openApiDocument());
+});
+
+// ==================== SWAGGER UI ASSETS ===============
+// Not a route, so it stays out of the OpenAPI document. Only the two files the page loads are served.
+router.use("/assets", (req, res, next) => {
+  const file = req.path.slice(1);
+  if (req.method !== "GET" || !SWAGGER_UI_FILES.includes(file)) return next();
+  res.set("Cache-Control", "public, max-age=86400"); // same files until swagger-ui-dist is upgraded
+  res.sendFile(file, { root: swaggerUiPath });
+});
+
+module.exports = router;
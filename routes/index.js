@@ -0,0 +1,13 @@
+// Every router and the path app.js mounts it on, in mounting order. utils/openapi.js walks the same
+// list to generate the API docs, and tests/openapi.test.js fails when a route has no entry in
+// docs/operations.js, so a route can't be added without documenting it.
+
+module.exports = [
+  { path: "/api/auth", router: require("./auth") },
+  { path: "/api/auth/2fa", router: require("./twoFactor") },
+  { path: "/api/auth/oauth", router: require("./oauth") },
+  { path: "/api/admin", router: require("./admin") },
+  { path: "/api/docs", router: require("./docs") }, // /api/docs, /api/docs/openapi.json
+  { path: "/", router: require("./monitoring") }, // /, /health/live, /health/ready, /metrics
+  { path: "/.well-known", router: require("./wellKnown") }, // /.well-known/jwks.json
+];
@@ -0,0 +1,115 @@
+// Endpoints for the platform, not for users:
+//   GET /             → plain "API running", for a quick check by hand
+//   GET /health/live  → the process is up and answering (restart it if not)
+//   GET /health/ready → it can serve traffic: database connected, email transport working
+//   GET /metrics      → Prometheus metrics (utils/metrics.js)
+// They sit outside /api so the API rate limit doesn't apply to probes and scrapes.
+
+const express = require("express");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const router = express.Router();
+const {
+  transportName,
+  verifyTransport,
+  lastTransportVerification,
+} = require("../config/email");
+const { renderMetrics } = require("../utils/metrics");
+const { AuthError } = require("../utils/errors");
+const config = require("../config");
+
+const CHECK_TIMEOUT_MS = 3000; // a dependency slower than this counts as down
+const EMAIL_CHECK_MAX_AGE_MS = 60 * 1000; // re-verify the SMTP login at most once a minute
+
+const withTimeout = (promise, ms) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      setTimeout(
+        () => reject(new Error(`Timed out after ${ms}ms`)),
+        ms
+      ).unref();
+    }),
+  ]);
+
+const checkDatabase = async () => {
+  const state = mongoose.STATES[mongoose.connection.readyState];
+  if (mongoose.connection.readyState !== 1) {
+    return { status: "down", state };
+  }
+
+  const start = Date.now();
+  try {
+    await withTimeout(mongoose.connection.db.admin().ping(), CHECK_TIMEOUT_MS);
+    return { status: "up", state, latencyMs: Date.now() - start };
+  } catch (err) {
+    return { status: "down", state, error: err.message };
+  }
+};
+
+// Logging in to SMTP on every probe would be slow and could get us throttled, so a recent result is reused.
+const checkEmail = async () => {
+  let last = lastTransportVerification();
+  const stale =
+    !last || Date.now() - last.checkedAt.getTime() > EMAIL_CHECK_MAX_AGE_MS;
+
+  if (stale && ["gmail", "smtp"].includes(transportName)) {
+    await withTimeout(verifyTransport(), CHECK_TIMEOUT_MS).catch(() => {});
+    last = lastTransportVerification();
+  }
+
+  if (!last) {
+    // Local transports (json, file, memory) have nothing to verify
+    return { status: "up", transport: transportName };
+  }
+  return {
+    status: last.ok ? "up" : "down",
+    transport: transportName,
+    error: last.error,
+    checkedAt: last.checkedAt,
+  };
+};
+
+router.get("/", (req, res) => res.send("API running"));
+
+// ==================== LIVENESS ===============
+router.get("/health/live", (req, res) => {
+  res.status(200).json({ status: "ok", uptime: process.uptime() });
+});
+
+// ==================== READINESS ===============
+// 503 when the database is down: nothing works without it. Email is reported but only "degrades" the API,
+// signing in with a password still works without it.
+router.get("/health/ready", async (req, res) => {
+  const [database, email] = await Promise.all([checkDatabase(), checkEmail()]);
+
+  const ready = database.status === "up";
+  res.status(ready ? 200 : 503).json({
+    status: !ready ? "unavailable" : email.status === "up" ? "ok" : "degraded",
+    checks: { database, email },
+  });
+});
+
+// ==================== METRICS ===============
+// With METRICS_TOKEN set, the scraper has to send it as a bearer token.
+const metricsAccess = (req, res, next) => {
+  const expected = config.metrics.token;
+  if (!expected) return next();
+
+  const sent = Buffer.from(
+    (req.get("authorization") || "").replace(/^Bearer /, "")
+  );
+  const matches =
+    sent.length === Buffer.byteLength(expected) &&
+    crypto.timingSafeEqual(sent, Buffer.from(expected));
+  if (!matches) {
+    throw new AuthError("Metrics token missing or invalid");
+  }
+  next();
+};
+
+router.get("/metrics", metricsAccess, (req, res) => {
+  res.type("text/plain; version=0.0.4").status(200).send(renderMetrics());
+});
+
+module.exports = router;
@@ -0,0 +1,230 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const User = require("../models/user");
+const OAuthState = require("../models/oauthState");
+const router = express.Router();
+const { body } = require("express-validator");
+const validate = require("../middleware/validate");
+const { audit, auditContext } = require("../middleware/audit");
+const { recordEvent } = require("../utils/audit");
+const rateLimit = require("../middleware/rateLimiter");
+const RATE_LIMITS = require("../config/rateLimits");
+const { getProvider } = require("../config/oauth");
+const { hashToken } = require("../utils/tokens");
+const {
+  randomString,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+} = require("../utils/oidc");
+const { completeSignin, sendTwoFactorChallenge } = require("../utils/signin");
+const {
+  BadRequestError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  UpstreamError,
+} = require("../utils/errors");
+
+// "Sign in with Google" (authorization code flow + PKCE), driven by the frontend:
+// 1. GET  /:provider/authorize → { authorizationUrl, state }. The frontend keeps `state` and sends the browser there.
+// 2. The provider redirects back to the frontend's redirect URI with ?code=...&state=...
+// 3. POST /:provider/callback { code, state } → same response as /signin (tokens, or a 2FA challenge).
+
+const STATE_TTL_MS = 10 * 60 * 1000; // The user has 10 minutes to finish at the provider
+
+// Both steps write to the database and call the provider, so keep them away from scripts
+router.use(
+  rateLimit({
+    ...RATE_LIMITS.oauth,
+    message: "Too many sign-in attempts, please try again later",
+  })
+);
+
+// Loads the provider config into req.provider, 404 for unknown or unconfigured providers.
+const loadProvider = (req, res, next) => {
+  auditContext(res, { metadata: { provider: req.params.provider } });
+  req.provider = getProvider(req.params.provider);
+  if (!req.provider) {
+    throw new NotFoundError(
+      "Unknown or disabled sign-in provider",
+      "UNKNOWN_PROVIDER"
+    );
+  }
+  next();
+};
+
+// ==================== START: AUTHORIZATION URL ===============
+router.get("/:provider/authorize", loadProvider, async (req, res) => {
+  const state = randomString();
+  const nonce = randomString();
+  const { codeVerifier, codeChallenge } = createPkcePair();
+
+  await OAuthState.create({
+    stateHash: hashToken(state),
+    provider: req.provider.name,
+    nonce,
+    codeVerifier,
+    expiresAt: new Date(Date.now() + STATE_TTL_MS),
+  });
+
+  let authorizationUrl;
+  try {
+    // Needs the provider's discovery document, which may be unreachable
+    authorizationUrl = await buildAuthorizationUrl(req.provider, {
+      state,
+      nonce,
+      codeChallenge,
+    });
+  } catch (err) {
+    req.log.error("OAuth authorize error", { err });
+    throw new UpstreamError("Sign-in provider is unavailable");
+  }
+
+  res.status(200).json({ authorizationUrl, state });
+});
+
+// Accounts created through a provider have no password yet: a random one nobody knows.
+// "Forgot password" lets them set a real one later.
+const randomPasswordHash = () =>
+  bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+// Finds the account for a verified ID token, without changing anything yet. `account` says how:
+// "existing" (this provider identity is already linked) or "linked" (same email, see linkIdentity).
+// Null when there is no account, see createUserFromClaims.
+const findUserForClaims = async (providerName, claims) => {
+  const linked = await User.findOne({
+    identities: {
+      $elemMatch: { provider: providerName, subject: claims.sub },
+    },
+  });
+  if (linked) {
+    return { user: linked, account: "existing" };
+  }
+
+  const existing = await User.findOne({ email: claims.email });
+  return existing && { user: existing, account: "linked" };
+};
+
+const identityFromClaims = (providerName, claims) => ({
+  provider: providerName,
+  subject: claims.sub,
+  email: claims.email,
+  linkedAt: new Date(),
+});
+
+// Links the provider identity to the account that has the same (provider verified) email.
+const linkIdentity = async (user, providerName, claims) => {
+  if (!user.verified) {
+    // Nobody ever proved they own this unverified account, so whoever picked its password
+    // (possibly someone squatting the address) must not keep access to it.
+    user.password = await randomPasswordHash();
+    user.verified = true; // the provider vouched for this email address
+  }
+  user.identities.push(identityFromClaims(providerName, claims));
+  await user.save();
+};
+
+// No account yet: a new, already verified user.
+const createUserFromClaims = async (providerName, claims) =>
+  User.create({
+    fullName: claims.name || claims.email.split("@")[0],
+    email: claims.email,
+    password: await randomPasswordHash(),
+    verified: true,
+    avatarUrl: claims.picture,
+    identities: [identityFromClaims(providerName, claims)],
+  });
+
+// ==================== FINISH: CODE EXCHANGE ===============
+router.post(
+  "/:provider/callback",
+  audit("signin", { method: "oauth" }),
+  loadProvider,
+
+  [
+    body("code").notEmpty().withMessage("Authorization code is required"),
+    body("state").notEmpty().withMessage("State is required"),
+  ],
+
+  validate,
+
+  async (req, res) => {
+    // The state is single-use: deleting it here means a replayed callback finds nothing
+    const stored = await OAuthState.findOneAndDelete({
+      stateHash: hashToken(req.body.state),
+      provider: req.provider.name,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!stored) {
+      throw new BadRequestError(
+        "Invalid or expired sign-in attempt, please retry",
+        "INVALID_STATE"
+      );
+    }
+
+    let claims;
+    try {
+      const tokens = await exchangeCode(req.provider, {
+        code: req.body.code,
+        codeVerifier: stored.codeVerifier,
+      });
+      claims = await verifyIdToken(req.provider, tokens.id_token, {
+        nonce: stored.nonce,
+      });
+    } catch (err) {
+      req.log.error("OAuth callback error", { err });
+      throw new AuthError(
+        "Could not sign in with this provider",
+        "PROVIDER_SIGNIN_FAILED"
+      );
+    }
+
+    // Only link/create accounts for addresses the provider has verified
+    if (!claims.email || claims.email_verified !== true) {
+      throw new BadRequestError(
+        "Your account with this provider has no verified email",
+        "PROVIDER_EMAIL_NOT_VERIFIED"
+      );
+    }
+
+    let user;
+    const found = await findUserForClaims(req.provider.name, claims);
+    if (found) {
+      user = found.user;
+      auditContext(res, {
+        user: user._id,
+        metadata: { account: found.account },
+      });
+
+      // Before linking: a disabled account must not gain a new way in (or lose its password to the link)
+      if (user.disabled) {
+        throw new ForbiddenError(
+          "This account has been disabled",
+          "ACCOUNT_DISABLED"
+        );
+      }
+      if (found.account === "linked") {
+        await linkIdentity(user, req.provider.name, claims);
+      }
+    } else {
+      user = await createUserFromClaims(req.provider.name, claims);
+      auditContext(res, { user: user._id, metadata: { account: "created" } });
+      recordEvent(req, {
+        type: "signup",
+        user: user._id,
+        metadata: { method: "oauth", provider: req.provider.name },
+      });
+    }
+
+    if (user.twoFactor.enabled) {
+      return sendTwoFactorChallenge(user, res);
+    }
+
+    await completeSignin(user, req, res);
+  }
+);
+
+module.exports = router;
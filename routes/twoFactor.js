@@ -0,0 +1,161 @@
+const express = require("express");
+const bcrypt = require("bcryptjs");
+const User = require("../models/user");
+const router = express.Router();
+const { body } = require("express-validator");
+const authenticate = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { audit } = require("../middleware/audit");
+const { BadRequestError, NotFoundError } = require("../utils/errors");
+const { generateSecret, otpauthURI } = require("../utils/totp");
+const {
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  checkSecondFactor,
+} = require("../utils/twoFactor");
+const { signinIpLimiter } = require("../utils/signin");
+
+// Turning 2FA on is a two step process:
+// 1. POST /enroll  → new secret + otpauth URI (shown as a QR code) + recovery codes
+// 2. POST /confirm → first code from the app proves it was set up correctly, 2FA is switched on
+// Signing in with 2FA is handled by /api/auth/signin and /api/auth/signin/2fa.
+
+const ISSUER = "Leadway"; // Name shown in the authenticator app
+
+router.use(authenticate);
+
+// ==================== ENROLL ===============
+router.post("/enroll", async (req, res) => {
+  const user = await User.findById(req.user.id);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  if (user.twoFactor.enabled) {
+    throw new BadRequestError(
+      "Two-factor authentication is already enabled",
+      "TWO_FACTOR_ALREADY_ENABLED"
+    );
+  }
+
+  // Enrolling again before confirming simply replaces the previous secret and codes
+  const secret = generateSecret();
+  const recoveryCodes = generateRecoveryCodes();
+  user.twoFactor.pendingSecret = secret;
+  user.twoFactor.recoveryCodes = recoveryCodes.map(hashRecoveryCode);
+  await user.save();
+
+  res.status(200).json({
+    message:
+      "Scan the QR code with your authenticator app, then confirm with the first code",
+    secret,
+    otpauthUri: otpauthURI({ secret, label: user.email, issuer: ISSUER }),
+    recoveryCodes, // shown once: only hashes are stored
+  });
+});
+
+// ==================== CONFIRM ===============
+router.post(
+  "/confirm",
+  audit("two_factor_enable"),
+
+  [body("code").notEmpty().withMessage("Authentication code is required")],
+
+  signinIpLimiter, // wrong codes count as failed sign-ins, so they can't be guessed here instead
+
+  validate,
+
+  async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (user.twoFactor.enabled) {
+      throw new BadRequestError(
+        "Two-factor authentication is already enabled",
+        "TWO_FACTOR_ALREADY_ENABLED"
+      );
+    }
+    if (!user.twoFactor.pendingSecret) {
+      throw new BadRequestError(
+        "Start two-factor enrollment first",
+        "TWO_FACTOR_NOT_ENROLLED"
+      );
+    }
+
+    // Only an authenticator code proves the app is set up, so recovery codes aren't accepted here
+    const method = checkSecondFactor(
+      user,
+      req.body.code,
+      user.twoFactor.pendingSecret
+    );
+    if (method !== "totp") {
+      throw new BadRequestError(
+        "Invalid authentication code",
+        "INVALID_2FA_CODE"
+      );
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res
+      .status(200)
+      .json({ message: "Two-factor authentication has been enabled" });
+  }
+);
+
+// ==================== DISABLE ===============
+// Needs the password AND a current code (or recovery code), so a stolen access token isn't enough.
+router.post(
+  "/disable",
+  audit("two_factor_disable"),
+
+  [
+    body("password").notEmpty().withMessage("Password is required"),
+    body("code").notEmpty().withMessage("Authentication code is required"),
+  ],
+
+  signinIpLimiter,
+
+  validate,
+
+  async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      throw new NotFoundError("User not found");
+    }
+
+    if (!user.twoFactor.enabled) {
+      throw new BadRequestError(
+        "Two-factor authentication is not enabled",
+        "TWO_FACTOR_NOT_ENABLED"
+      );
+    }
+
+    const isMatch = await bcrypt.compare(req.body.password, user.password);
+    if (!isMatch) {
+      throw new BadRequestError("Password is incorrect", "INCORRECT_PASSWORD");
+    }
+
+    if (!checkSecondFactor(user, req.body.code)) {
+      throw new BadRequestError(
+        "Invalid authentication code",
+        "INVALID_2FA_CODE"
+      );
+    }
+
+    user.twoFactor = { enabled: false, recoveryCodes: [] };
+    await user.save();
+
+    res
+      .status(200)
+      .json({ message: "Two-factor authentication has been disabled" });
+  }
+);
+
+module.exports = router;
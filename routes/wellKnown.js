@@ -0,0 +1,16 @@
+// Public, unauthenticated documents about this API under /.well-known.
+
+const express = require("express");
+const router = express.Router();
+const { keyManager } = require("../utils/jwtKeys");
+
+// ==================== JWKS ===============
+// The public keys our tokens are signed with (RFC 7517). Other services fetch this to verify access
+// tokens: pick the key whose `kid` matches the token header, and check `iss` and `aud`.
+router.get("/jwks.json", (req, res) => {
+  // Cacheable, unlike the rest of the API: a verifier that meets an unknown kid fetches it again.
+  res.set("Cache-Control", "public, max-age=300");
+  res.status(200).json(keyManager.jwks());
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// Prints a new private signing key as a JSON Web Key Set, ready for JWT_KEYS (see utils/jwtKeys.js):
+//   npm run jwt:generate-key            → ES256
+//   npm run jwt:generate-key -- RS256
+// To rotate, add the printed key to the existing set instead of replacing it, and set JWT_SIGNING_KID.
+
+const crypto = require("crypto");
+
+const alg = process.argv[2] || "ES256";
+
+const generators = {
+  ES256: () => crypto.generateKeyPairSync("ec", { namedCurve: "P-256" }),
+  RS256: () => crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }),
+};
+
+if (!generators[alg]) {
+  process.stderr.write(`Unknown algorithm "${alg}", use ES256 or RS256\n`);
+  process.exit(1);
+}
+
+const { privateKey } = generators[alg]();
+const kid = `${new Date().toISOString().slice(0, 10)}-${crypto
+  .randomBytes(3)
+  .toString("hex")}`; // dated, so it's easy to tell which key is the newest
+
+const jwk = { ...privateKey.export({ format: "jwk" }), kid, alg };
+process.stdout.write(`${JSON.stringify({ keys: [jwk] })}\n`);
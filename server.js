@@ -0,0 +1,43 @@
+// Starts the API: connects to MongoDB, checks the email transport, listens on PORT and shuts down cleanly.
+const mongoose = require("mongoose");
+const app = require("./app");
+const config = require("./config");
+const { verifyTransport } = require("./config/email");
+const { logger } = require("./utils/logger");
+const PORT = config.port;
+
+const start = async () => {
+  try {
+    await mongoose.connect(config.mongoUrl, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    logger.info("Database connected");
+
+    // Check the email login once at startup. A failure is logged but doesn't stop the API.
+    verifyTransport()
+      .then(() => logger.info("Email transport ready for messages"))
+      .catch((err) => logger.error("Email transport error", { err }));
+
+    const server = app.listen(PORT, () => {
+      logger.info("Server is running", { port: PORT });
+    });
+
+    process.on("SIGINT", async () => {
+      logger.info("SIGINT received. Closing server and DB connection...");
+      await mongoose.disconnect();
+      server.close(() => process.exit(0));
+    });
+
+    process.on("SIGTERM", async () => {
+      logger.info("SIGTERM received. Closing server and DB connection...");
+      await mongoose.disconnect();
+      server.close(() => process.exit(0));
+    });
+  } catch (err) {
+    logger.error("Startup error", { err });
+    process.exit(1);
+  }
+};
+
+start();
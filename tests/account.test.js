@@ -0,0 +1,294 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/user");
+const Session = require("../models/session");
+const {
+  app,
+  request,
+  PASSWORD,
+  useTestDatabase,
+  createUser,
+  signIn,
+  sentEmails,
+  lastEmailTo,
+  tokenFromEmail,
+} = require("./helpers");
+
+useTestDatabase();
+
+// Signs in and returns a supertest helper that sends the access token.
+const signedIn = async (email, password) => {
+  const { body } = await signIn(email, password);
+  const auth = (req) => req.set("Authorization", `Bearer ${body.accessToken}`);
+  return { ...body, auth };
+};
+
+describe("POST /api/auth/forgot-password + /reset-password/:token", () => {
+  it("gives the same answer for unknown emails without sending anything", async () => {
+    const res = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nobody@example.com" });
+
+    expect(res.status).toBe(200);
+    expect(sentEmails).toHaveLength(0);
+  });
+
+  it("resets the password with the emailed link, only once", async () => {
+    await createUser();
+    const session = await signedIn();
+
+    await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "ada@example.com" });
+    const token = tokenFromEmail(
+      lastEmailTo("ada@example.com"),
+      "/reset-password"
+    );
+
+    const reset = await request(app)
+      .post(`/api/auth/reset-password/${token}`)
+      .send({ password: "NewPassword456" });
+    expect(reset.status).toBe(200);
+
+    expect((await signIn("ada@example.com", PASSWORD)).status).toBe(400);
+    expect((await signIn("ada@example.com", "NewPassword456")).status).toBe(
+      200
+    );
+
+    // Single use
+    const again = await request(app)
+      .post(`/api/auth/reset-password/${token}`)
+      .send({ password: "OtherPassword789" });
+    expect(again.status).toBe(400);
+
+    // Existing sessions were signed out
+    const refresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: session.refreshToken });
+    expect(refresh.status).toBe(403);
+  });
+
+  it("applies the signup password rules", async () => {
+    const res = await request(app)
+      .post("/api/auth/reset-password/whatever")
+      .send({ password: "weak" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.details.map((detail) => detail.field)).toContain(
+      "password"
+    );
+  });
+});
+
+describe("PATCH /api/auth/profile", () => {
+  it("updates the allowed fields only", async () => {
+    await createUser();
+    const { auth } = await signedIn();
+
+    const res = await auth(request(app).patch("/api/auth/profile")).send({
+      fullName: "Ada King",
+      phone: "+44 20 7946 0000",
+      preferences: { theme: "dark" },
+      verified: false, // not allowed through this route
+      email: "other@example.com",
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({
+      fullName: "Ada King",
+      phone: "+44 20 7946 0000",
+      preferences: { theme: "dark" },
+      email: "ada@example.com",
+      verified: true,
+    });
+  });
+
+  it("validates the input", async () => {
+    await createUser();
+    const { auth } = await signedIn();
+
+    const res = await auth(request(app).patch("/api/auth/profile")).send({
+      avatarUrl: "javascript:alert(1)",
+      preferences: { theme: "neon" },
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map((detail) => detail.field)).toEqual(
+      expect.arrayContaining(["avatarUrl", "preferences.theme"])
+    );
+  });
+});
+
+describe("POST /api/auth/change-password", () => {
+  it("needs the current password", async () => {
+    await createUser();
+    const { auth } = await signedIn();
+
+    const res = await auth(request(app).post("/api/auth/change-password")).send(
+      { currentPassword: "Wrong12345", newPassword: "NewPassword456" }
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INCORRECT_PASSWORD");
+  });
+
+  it("changes the password and signs out the other devices", async () => {
+    await createUser();
+    const other = await signedIn();
+    const current = await signedIn();
+
+    const res = await current
+      .auth(request(app).post("/api/auth/change-password"))
+      .send({ currentPassword: PASSWORD, newPassword: "NewPassword456" });
+    expect(res.status).toBe(200);
+
+    const otherRefresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: other.refreshToken });
+    const currentRefresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: current.refreshToken });
+
+    expect(otherRefresh.status).toBe(403);
+    expect(currentRefresh.status).toBe(200);
+  });
+});
+
+describe("POST /api/auth/change-email + GET /confirm-email-change/:token", () => {
+  it("switches the email once the new address is confirmed", async () => {
+    await createUser();
+    const { auth } = await signedIn();
+
+    const res = await auth(request(app).post("/api/auth/change-email")).send({
+      newEmail: "countess@example.com",
+      password: PASSWORD,
+    });
+    expect(res.status).toBe(200);
+    expect(
+      (await User.findOne({ email: "ada@example.com" })).pendingEmail
+    ).toBe("countess@example.com");
+
+    const token = tokenFromEmail(
+      lastEmailTo("countess@example.com"),
+      "/api/auth/confirm-email-change"
+    );
+    const confirm = await request(app).get(
+      `/api/auth/confirm-email-change/${token}`
+    );
+
+    expect(confirm.status).toBe(200);
+    expect(await User.exists({ email: "countess@example.com" })).toBeTruthy();
+    expect(await User.exists({ email: "ada@example.com" })).toBeNull();
+  });
+
+  it("refuses an address that is already taken", async () => {
+    await createUser();
+    await createUser({ email: "taken@example.com" });
+    const { auth } = await signedIn();
+
+    const res = await auth(request(app).post("/api/auth/change-email")).send({
+      newEmail: "taken@example.com",
+      password: PASSWORD,
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("EMAIL_TAKEN");
+  });
+
+  it("shows an error page for an unknown confirmation link", async () => {
+    const res = await request(app).get(
+      "/api/auth/confirm-email-change/unknown"
+    );
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("DELETE /api/auth/account", () => {
+  it("schedules deletion, and signing in again cancels it", async () => {
+    await createUser();
+    const { auth } = await signedIn();
+
+    const res = await auth(request(app).delete("/api/auth/account")).send({
+      password: PASSWORD,
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.deletionScheduledAt).toBeTruthy();
+
+    const back = await signIn();
+    expect(back.status).toBe(200);
+    expect(back.body.deletionCancelled).toBe(true);
+    expect(
+      (await User.findOne({ email: "ada@example.com" })).deletionScheduledAt
+    ).toBeUndefined();
+  });
+
+  it("needs the password", async () => {
+    await createUser();
+    const { auth } = await signedIn();
+
+    const res = await auth(request(app).delete("/api/auth/account")).send({
+      password: "Wrong12345",
+    });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe("GET /api/auth/sessions + DELETE /sessions/:id", () => {
+  it("keeps a session exactly as long as its newest refresh token", async () => {
+    await createUser();
+    const { refreshToken } = await signedIn();
+    const expiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+    expect((await Session.findOne()).expiresAt).toEqual(expiry(refreshToken));
+
+    const rotated = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect((await Session.findOne()).expiresAt).toEqual(
+      expiry(rotated.body.refreshToken)
+    );
+  });
+
+  it("lists the active sessions and revokes one", async () => {
+    await createUser();
+    const phone = await signedIn();
+    const laptop = await signedIn();
+
+    const list = await laptop.auth(request(app).get("/api/auth/sessions"));
+    expect(list.status).toBe(200);
+    expect(list.body.sessions).toHaveLength(2);
+    expect(list.body.sessions.filter((s) => s.current)).toHaveLength(1);
+
+    const phoneSession = list.body.sessions.find((s) => !s.current);
+    const revoke = await laptop.auth(
+      request(app).delete(`/api/auth/sessions/${phoneSession.id}`)
+    );
+    expect(revoke.status).toBe(200);
+
+    const refresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: phone.refreshToken });
+    expect(refresh.status).toBe(403);
+  });
+
+  it("does not let a user see or revoke someone else's session", async () => {
+    await createUser();
+    await createUser({ email: "eve@example.com" });
+    const ada = await signedIn();
+    const eve = await signedIn("eve@example.com");
+
+    const [adaSession] = (
+      await ada.auth(request(app).get("/api/auth/sessions"))
+    ).body.sessions;
+
+    const eveList = await eve.auth(request(app).get("/api/auth/sessions"));
+    expect(eveList.body.sessions.map((s) => s.id)).not.toContain(adaSession.id);
+
+    const res = await eve.auth(
+      request(app).delete(`/api/auth/sessions/${adaSession.id}`)
+    );
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe("NOT_FOUND");
+  });
+});
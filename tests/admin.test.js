@@ -0,0 +1,210 @@
+const User = require("../models/user");
+const {
+  app,
+  request,
+  useTestDatabase,
+  createUser,
+  signIn,
+} = require("./helpers");
+
+useTestDatabase();
+
+// Signs in and returns a supertest helper that sends the access token.
+const signedIn = async (email, password) => {
+  const { body } = await signIn(email, password);
+  const auth = (req) => req.set("Authorization", `Bearer ${body.accessToken}`);
+  return { ...body, auth };
+};
+
+const staff = async (role, fields = {}) => {
+  await createUser({ email: `${role}@example.com`, role, ...fields });
+  return signedIn(`${role}@example.com`);
+};
+
+describe("admin permissions", () => {
+  it("turns plain users away from every admin route", async () => {
+    const user = await createUser();
+    const { auth } = await signedIn();
+
+    const responses = [
+      await auth(request(app).get("/api/admin/users")),
+      await auth(request(app).get(`/api/admin/users/${user._id}`)),
+      await auth(request(app).patch(`/api/admin/users/${user._id}/role`)).send({
+        role: "admin",
+      }),
+      await auth(request(app).get("/api/admin/audit-events")),
+    ];
+
+    for (const res of responses) {
+      expect(res.status).toBe(403);
+      expect(res.body.code).toBe("FORBIDDEN");
+    }
+  });
+
+  it("lets support look at users but not change them", async () => {
+    const user = await createUser();
+    const { auth } = await staff("support");
+
+    expect((await auth(request(app).get("/api/admin/users"))).status).toBe(200);
+    expect(
+      (await auth(request(app).get(`/api/admin/users/${user._id}`))).status
+    ).toBe(200);
+
+    const changes = [
+      await auth(request(app).patch(`/api/admin/users/${user._id}/role`)).send({
+        role: "support",
+      }),
+      await auth(
+        request(app).patch(`/api/admin/users/${user._id}/verification`)
+      ).send({ verified: false }),
+      await auth(
+        request(app).patch(`/api/admin/users/${user._id}/status`)
+      ).send({ disabled: true }),
+      await auth(request(app).get("/api/admin/audit-events")),
+    ];
+    for (const res of changes) {
+      expect(res.status).toBe(403);
+    }
+    expect((await User.findById(user._id)).disabled).toBe(false);
+  });
+
+  it("honours permissions granted on top of the role", async () => {
+    const user = await createUser();
+    const { auth } = await staff("support", { permissions: ["users:write"] });
+
+    const res = await auth(
+      request(app).patch(`/api/admin/users/${user._id}/status`)
+    ).send({ disabled: true });
+
+    expect(res.status).toBe(200);
+    expect((await User.findById(user._id)).disabled).toBe(true);
+  });
+});
+
+describe("PATCH /api/admin/users/:id/role", () => {
+  it("changes the role and extra permissions, from the next token on", async () => {
+    const user = await createUser();
+    const { auth } = await staff("admin");
+
+    const res = await auth(
+      request(app).patch(`/api/admin/users/${user._id}/role`)
+    ).send({ role: "support", permissions: ["users:write"] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.role).toBe("support");
+
+    const promoted = await signedIn();
+    const list = await promoted.auth(request(app).get("/api/admin/users"));
+    expect(list.status).toBe(200);
+  });
+
+  it("rejects unknown roles and permissions", async () => {
+    const user = await createUser();
+    const { auth } = await staff("admin");
+
+    const res = await auth(
+      request(app).patch(`/api/admin/users/${user._id}/role`)
+    ).send({ role: "owner", permissions: ["everything"] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.map((detail) => detail.field)).toEqual([
+      "role",
+      "permissions[0]",
+    ]);
+  });
+
+  it("does not let admins change their own role", async () => {
+    const { auth, user } = await staff("admin");
+
+    const res = await auth(
+      request(app).patch(`/api/admin/users/${user.id}/role`)
+    ).send({ role: "user" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("CANNOT_CHANGE_SELF");
+  });
+});
+
+describe("GET /api/admin/users", () => {
+  beforeEach(async () => {
+    for (const [fullName, email] of [
+      ["Ada Lovelace", "ada@example.com"],
+      ["Alan Turing", "alan@example.com"],
+      ["Grace Hopper", "grace@navy.example"],
+    ]) {
+      await createUser({ fullName, email });
+    }
+  });
+
+  it("searches the name and email, literally and ignoring case", async () => {
+    const { auth } = await staff("support");
+    const search = async (text) =>
+      (
+        await auth(request(app).get("/api/admin/users").query({ search: text }))
+      ).body.users.map((user) => user.email);
+
+    expect(await search("GRACE")).toEqual(["grace@navy.example"]);
+    expect(await search("navy")).toEqual(["grace@navy.example"]);
+    expect(await search("a.*")).toEqual([]);
+  });
+
+  it("filters by role and pages through the results", async () => {
+    const { auth } = await staff("admin");
+
+    const admins = await auth(request(app).get("/api/admin/users?role=admin"));
+    expect(admins.body.users.map((user) => user.email)).toEqual([
+      "admin@example.com",
+    ]);
+
+    const first = await auth(request(app).get("/api/admin/users?limit=3"));
+    const second = await auth(
+      request(app).get("/api/admin/users?limit=3&page=2")
+    );
+    expect(first.body.pagination).toEqual({
+      page: 1,
+      limit: 3,
+      total: 4,
+      totalPages: 2,
+    });
+    expect(first.body.users).toHaveLength(3);
+    expect(second.body.users).toHaveLength(1);
+    expect(first.body.users.map((user) => user._id)).not.toContain(
+      second.body.users[0]._id
+    );
+  });
+});
+
+describe("PATCH /api/admin/users/:id/status", () => {
+  it("signs a disabled user out and keeps them out", async () => {
+    const user = await createUser();
+    const { refreshToken } = await signedIn();
+    const { auth } = await staff("admin");
+
+    const res = await auth(
+      request(app).patch(`/api/admin/users/${user._id}/status`)
+    ).send({ disabled: true, reason: "Spam" });
+    expect(res.status).toBe(200);
+
+    const refresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect(refresh.status).toBe(403);
+
+    const signin = await signIn();
+    expect(signin.status).toBe(403);
+    expect(signin.body.code).toBe("ACCOUNT_DISABLED");
+  });
+
+  it("refuses to refresh a session of an account disabled since", async () => {
+    const user = await createUser();
+    const { refreshToken } = await signedIn();
+    await User.updateOne({ _id: user._id }, { disabled: true });
+
+    const res = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("ACCOUNT_DISABLED");
+  });
+});
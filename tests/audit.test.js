@@ -0,0 +1,215 @@
+const AuditEvent = require("../models/auditEvent");
+const { flushAuditEvents } = require("../utils/audit");
+const { toCsv } = require("../utils/csv");
+const {
+  app,
+  request,
+  useTestDatabase,
+  createUser,
+  signIn,
+} = require("./helpers");
+
+useTestDatabase();
+
+// Signs in and returns a supertest helper that sends the access token.
+const signedIn = async (email, password) => {
+  const { body } = await signIn(email, password);
+  const auth = (req) => req.set("Authorization", `Bearer ${body.accessToken}`);
+  return { ...body, auth };
+};
+
+// Events are written after the response, wait for them before looking.
+const events = async (filter = {}) => {
+  await flushAuditEvents();
+  return AuditEvent.find(filter).sort({ createdAt: 1 });
+};
+
+describe("audit log", () => {
+  it("records signin failures with the reason, and successes with the user", async () => {
+    const user = await createUser();
+
+    await signIn("nobody@example.com");
+    await signIn("ada@example.com", "Wrong12345");
+    await signIn();
+
+    const [unknown, wrong, ok] = await events({ type: "signin" });
+    expect(unknown).toMatchObject({
+      outcome: "failure",
+      reason: "UNKNOWN_EMAIL",
+      email: "nobody@example.com",
+    });
+    expect(unknown.user).toBeUndefined();
+    expect(wrong).toMatchObject({
+      outcome: "failure",
+      reason: "WRONG_PASSWORD",
+    });
+    expect(String(wrong.user)).toBe(String(user._id));
+    expect(ok).toMatchObject({
+      outcome: "success",
+      metadata: { method: "password" },
+    });
+    expect(ok.ip).toBeTruthy();
+    expect(ok.metadata.sessionId).toBeTruthy();
+  });
+
+  it("records refreshes, profile access and password changes", async () => {
+    await createUser();
+    const session = await signedIn();
+
+    await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: session.refreshToken });
+    await session.auth(request(app).get("/api/auth/profile"));
+    await session
+      .auth(request(app).post("/api/auth/change-password"))
+      .send({ currentPassword: "Wrong12345", newPassword: "NewPassword456" });
+
+    const types = (await events()).map((event) => [event.type, event.outcome]);
+    expect(types).toEqual([
+      ["signin", "success"],
+      ["token_refresh", "success"],
+      ["profile_access", "success"],
+      ["password_change", "failure"],
+    ]);
+  });
+
+  it("records admin changes with the admin as actor", async () => {
+    const admin = await createUser({
+      email: "admin@example.com",
+      role: "admin",
+    });
+    const user = await createUser();
+    const { auth } = await signedIn("admin@example.com");
+
+    await auth(request(app).patch(`/api/admin/users/${user._id}/status`)).send({
+      disabled: true,
+      reason: "Fraud",
+    });
+
+    const [change] = await events({ type: "user_status_change" });
+    expect(String(change.user)).toBe(String(user._id));
+    expect(String(change.actor)).toBe(String(admin._id));
+    expect(change.metadata).toEqual({ disabled: true, reason: "Fraud" });
+  });
+});
+
+describe("GET /api/auth/activity", () => {
+  it("lists the user's own events, newest first", async () => {
+    await createUser();
+    await createUser({ email: "eve@example.com" });
+    await signIn("eve@example.com");
+    await signIn("ada@example.com", "Wrong12345");
+    const { auth } = await signedIn();
+    await flushAuditEvents();
+
+    const res = await auth(request(app).get("/api/auth/activity"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.events.map((event) => [event.type, event.outcome])).toEqual(
+      [
+        ["signin", "success"],
+        ["signin", "failure"],
+      ]
+    );
+    expect(res.body.events[0]).toMatchObject({ byAdmin: false });
+    expect(res.body.events[0].device).toBeTruthy();
+  });
+});
+
+describe("GET /api/admin/audit-events (+ /export)", () => {
+  const adminSession = async () => {
+    await createUser({ email: "admin@example.com", role: "admin" });
+    return signedIn("admin@example.com");
+  };
+
+  it("filters by type, outcome and date", async () => {
+    await createUser();
+    const { auth } = await adminSession();
+    await signIn("ada@example.com", "Wrong12345");
+    await signIn();
+    await flushAuditEvents();
+
+    const res = await auth(
+      request(app)
+        .get("/api/admin/audit-events")
+        .query({
+          type: "signin,token_refresh",
+          outcome: "failure",
+          from: new Date(Date.now() - 60 * 1000).toISOString(),
+        })
+    );
+
+    expect(res.status).toBe(200);
+    expect(res.body.events).toHaveLength(1);
+    expect(res.body.events[0]).toMatchObject({
+      type: "signin",
+      reason: "WRONG_PASSWORD",
+    });
+    expect(res.body.pagination.total).toBe(1);
+
+    const future = await auth(
+      request(app)
+        .get("/api/admin/audit-events")
+        .query({ from: new Date(Date.now() + 60 * 1000).toISOString() })
+    );
+    expect(future.body.events).toHaveLength(0);
+  });
+
+  it("rejects unknown event types", async () => {
+    const { auth } = await adminSession();
+
+    const res = await auth(
+      request(app).get("/api/admin/audit-events?type=signin,nope")
+    );
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+  });
+
+  it("exports CSV and JSON as downloads", async () => {
+    const { auth } = await adminSession();
+    await flushAuditEvents();
+
+    const csv = await auth(
+      request(app).get("/api/admin/audit-events/export?format=csv&type=signin")
+    );
+    expect(csv.status).toBe(200);
+    expect(csv.headers["content-type"]).toContain("text/csv");
+    expect(csv.headers["content-disposition"]).toContain("attachment");
+    expect(csv.text.split("\r\n")[0]).toBe(
+      "createdAt,type,outcome,reason,user,actor,email,ip,userAgent,requestId,metadata"
+    );
+    expect(csv.text).toContain(",signin,success,");
+
+    const json = await auth(
+      request(app).get("/api/admin/audit-events/export?format=json")
+    );
+    expect(json.status).toBe(200);
+    expect(json.body).toHaveLength(1);
+  });
+
+  it("is for admins only", async () => {
+    await createUser({ role: "support" });
+    const { auth } = await signedIn();
+
+    const res = await auth(request(app).get("/api/admin/audit-events"));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("toCsv", () => {
+  it("escapes quotes, commas and newlines, and defuses formulas", () => {
+    const csv = toCsv(
+      [{ a: 'say "hi", bye', b: "=HYPERLINK(1)" }, { a: "two\nlines" }],
+      [
+        { header: "a", value: (row) => row.a },
+        { header: "b", value: (row) => row.b },
+      ]
+    );
+
+    expect(csv).toBe(
+      'a,b\r\n"say ""hi"", bye",\'=HYPERLINK(1)\r\n"two\nlines",\r\n'
+    );
+  });
+});
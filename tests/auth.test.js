@@ -0,0 +1,463 @@
+const { keyManager } = require("../utils/jwtKeys");
+const mongoose = require("mongoose");
+const User = require("../models/user");
+const {
+  app,
+  request,
+  PASSWORD,
+  useTestDatabase,
+  createUser,
+  signIn,
+  sentEmails,
+  lastEmailTo,
+  waitForEmailTo,
+  tokenFromEmail,
+} = require("./helpers");
+
+useTestDatabase();
+
+describe("POST /api/auth/signup", () => {
+  it("rejects invalid input with one entry per problem", async () => {
+    const res = await request(app)
+      .post("/api/auth/signup")
+      .send({ fullName: "", email: "not-an-email", password: "short" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.details).toContainEqual({
+      field: "email",
+      location: "body",
+      message: "Please enter a valid email",
+    });
+    // Submitted values (passwords!) are not echoed back
+    expect(JSON.stringify(res.body)).not.toContain("short");
+    const messages = res.body.details.map((detail) => detail.message);
+    expect(messages).toEqual(
+      expect.arrayContaining([
+        "Full Name is required",
+        "Please enter a valid email",
+        "Password Must be at least 8 characters",
+        "Password Must contain a number",
+        "Password Must contain an uppercase letter",
+      ])
+    );
+  });
+
+  it("creates an unverified user and emails a verification link", async () => {
+    const res = await request(app).post("/api/auth/signup").send({
+      fullName: "Grace Hopper",
+      email: "grace@example.com",
+      password: PASSWORD,
+    });
+
+    expect(res.status).toBe(201);
+
+    const user = await User.findOne({ email: "grace@example.com" });
+    expect(user.verified).toBe(false);
+    expect(user.password).not.toBe(PASSWORD); // stored as a bcrypt hash
+
+    const email = lastEmailTo("grace@example.com");
+    expect(email.subject).toBe("Verify Your Email");
+    expect(tokenFromEmail(email, "/api/auth/verify-email")).toBeTruthy();
+  });
+
+  it("escapes the user's name in the verification email", async () => {
+    await request(app).post("/api/auth/signup").send({
+      fullName: "<b>Mallory</b>",
+      email: "mallory@example.com",
+      password: PASSWORD,
+    });
+
+    const email = lastEmailTo("mallory@example.com");
+    expect(email.html).toContain("&lt;b&gt;Mallory&lt;/b&gt;");
+    expect(email.text).toContain("<b>Mallory</b>");
+  });
+
+  it("refuses an email that is already registered", async () => {
+    await createUser();
+
+    const res = await request(app).post("/api/auth/signup").send({
+      fullName: "Ada Again",
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("EMAIL_TAKEN");
+  });
+});
+
+describe("GET /api/auth/verify-email/:token", () => {
+  it("verifies the user from the emailed link", async () => {
+    await request(app).post("/api/auth/signup").send({
+      fullName: "Grace Hopper",
+      email: "grace@example.com",
+      password: PASSWORD,
+    });
+    const token = tokenFromEmail(
+      lastEmailTo("grace@example.com"),
+      "/api/auth/verify-email"
+    );
+
+    const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toContain("Email Verified Successfully");
+    expect((await User.findOne({ email: "grace@example.com" })).verified).toBe(
+      true
+    );
+  });
+
+  it("shows an error page for an expired token", async () => {
+    const user = await createUser({ verified: false });
+    const expired = keyManager.sign({
+      id: user._id,
+      purpose: "verify_email",
+      exp: Math.floor(Date.now() / 1000) - 60,
+    });
+
+    const res = await request(app).get(`/api/auth/verify-email/${expired}`);
+
+    expect(res.status).toBe(400);
+    expect(res.text).toContain("Invalid or expired verification token");
+    expect((await User.findById(user._id)).verified).toBe(false);
+  });
+
+  it("shows an error page when the user no longer exists", async () => {
+    const token = keyManager.sign(
+      { id: new mongoose.Types.ObjectId(), purpose: "verify_email" },
+      { expiresIn: "1h" }
+    );
+
+    const res = await request(app).get(`/api/auth/verify-email/${token}`);
+
+    expect(res.status).toBe(400);
+    expect(res.text).toContain("User Not Found");
+  });
+
+  it("shows an error page for a tampered token", async () => {
+    const res = await request(app).get("/api/auth/verify-email/not-a-jwt");
+
+    expect(res.status).toBe(400);
+    expect(res.text).toContain("Verification Failed");
+  });
+});
+
+describe("POST /api/auth/resend-verification", () => {
+  it("sends a new link to unverified users, with a cooldown", async () => {
+    await createUser({ email: "late@example.com", verified: false });
+
+    const first = await request(app)
+      .post("/api/auth/resend-verification")
+      .send({ email: "late@example.com" });
+    expect(first.status).toBe(200);
+    expect(lastEmailTo("late@example.com").subject).toBe("Verify Your Email");
+
+    const second = await request(app)
+      .post("/api/auth/resend-verification")
+      .send({ email: "late@example.com" });
+    expect(second.status).toBe(429);
+    expect(second.body.code).toBe("RATE_LIMITED");
+    expect(second.headers["retry-after"]).toBeDefined();
+  });
+
+  it("gives the same answer for verified and unknown emails without sending anything", async () => {
+    await createUser({ email: "done@example.com" });
+
+    const verified = await request(app)
+      .post("/api/auth/resend-verification")
+      .send({ email: "done@example.com" });
+    const unknown = await request(app)
+      .post("/api/auth/resend-verification")
+      .send({ email: "nobody@example.com" });
+
+    expect(verified.status).toBe(200);
+    expect(unknown.body).toEqual(verified.body);
+    expect(sentEmails).toHaveLength(0);
+  });
+
+  it("rejects an email that isn't a string", async () => {
+    const res = await request(app)
+      .post("/api/auth/resend-verification")
+      .send({ email: ["late@example.com"] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+    expect(res.body.details).toEqual([
+      expect.objectContaining({
+        field: "email",
+        message: "Please enter a valid email",
+      }),
+    ]);
+  });
+});
+
+describe("POST /api/auth/signin", () => {
+  it("returns tokens and the user for valid credentials", async () => {
+    await createUser();
+
+    const res = await signIn();
+
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+    expect(res.body.refreshToken).toBeTruthy();
+    expect(res.body.user).toMatchObject({
+      fullName: "Ada Lovelace",
+      email: "ada@example.com",
+    });
+  });
+
+  it("asks unverified users to verify first", async () => {
+    await createUser({ verified: false });
+
+    const res = await signIn();
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("EMAIL_NOT_VERIFIED");
+  });
+
+  it("rejects a wrong password and an unknown email the same way", async () => {
+    await createUser();
+
+    const wrongPassword = await signIn("ada@example.com", "Wrong12345");
+    const unknownEmail = await signIn("nobody@example.com", PASSWORD);
+
+    expect(wrongPassword.status).toBe(400);
+    expect(wrongPassword.body.code).toBe("INVALID_CREDENTIALS");
+    expect(unknownEmail.body).toEqual(wrongPassword.body);
+  });
+
+  it("locks the account after repeated failures and emails the user", async () => {
+    await createUser();
+
+    for (let i = 0; i < 4; i++) {
+      expect((await signIn("ada@example.com", "Wrong12345")).status).toBe(400);
+    }
+    const locked = await signIn("ada@example.com", "Wrong12345");
+
+    expect(locked.status).toBe(423);
+    expect(locked.body.code).toBe("ACCOUNT_LOCKED");
+    expect(locked.body.details.retryAfter).toBeGreaterThan(0);
+    expect(locked.headers["retry-after"]).toBe(
+      String(locked.body.details.retryAfter)
+    );
+
+    // Even the right password is refused while locked
+    expect((await signIn()).status).toBe(423);
+
+    const alert = await waitForEmailTo("ada@example.com"); // sent in the background
+    expect(alert.subject).toBe("Suspicious sign-in attempts on your account");
+  });
+
+  it("refuses disabled accounts", async () => {
+    await createUser({ disabled: true });
+
+    const res = await signIn();
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("ACCOUNT_DISABLED");
+  });
+});
+
+describe("POST /api/auth/refresh", () => {
+  it("needs a refresh token", async () => {
+    const res = await request(app).post("/api/auth/refresh").send({});
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("REFRESH_TOKEN_MISSING");
+  });
+
+  it("needs a refresh token when there is no body at all", async () => {
+    const res = await request(app).post("/api/auth/refresh");
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("REFRESH_TOKEN_MISSING");
+  });
+
+  it("rejects a token that isn't a valid refresh token", async () => {
+    const res = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: "garbage" });
+    expect(res.status).toBe(403);
+  });
+
+  it("rotates the refresh token on every use", async () => {
+    await createUser();
+    const { refreshToken } = (await signIn()).body;
+
+    const res = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+    expect(res.body.refreshToken).toBeTruthy();
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+  });
+
+  it("revokes the whole session when a rotated token is reused", async () => {
+    await createUser();
+    const { refreshToken: first } = (await signIn()).body;
+    const { refreshToken: second } = (
+      await request(app).post("/api/auth/refresh").send({ refreshToken: first })
+    ).body;
+
+    const reuse = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: first });
+    expect(reuse.status).toBe(403);
+
+    // The legitimate newest token dies with it
+    const afterReuse = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: second });
+    expect(afterReuse.status).toBe(403);
+  });
+});
+
+describe("POST /api/auth/logout and /logout-all", () => {
+  it("logout revokes the refresh token of this device", async () => {
+    await createUser();
+    const { refreshToken } = (await signIn()).body;
+
+    const res = await request(app)
+      .post("/api/auth/logout")
+      .send({ refreshToken });
+    expect(res.status).toBe(200);
+
+    const refresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken });
+    expect(refresh.status).toBe(403);
+  });
+
+  it("logout needs a refresh token, with or without a body", async () => {
+    for (const res of [
+      await request(app).post("/api/auth/logout").send({}),
+      await request(app).post("/api/auth/logout"),
+    ]) {
+      expect(res.status).toBe(401);
+      expect(res.body.code).toBe("REFRESH_TOKEN_MISSING");
+    }
+  });
+
+  it("logout rejects a refresh token that isn't a string", async () => {
+    for (const refreshToken of [42, ["a.b.c"]]) {
+      const res = await request(app)
+        .post("/api/auth/logout")
+        .send({ refreshToken });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe("VALIDATION_FAILED");
+    }
+  });
+
+  it("logout-all revokes every device", async () => {
+    await createUser();
+    const phone = (await signIn()).body;
+    const laptop = (await signIn()).body;
+
+    const res = await request(app)
+      .post("/api/auth/logout-all")
+      .set("Authorization", `Bearer ${laptop.accessToken}`);
+    expect(res.status).toBe(200);
+
+    for (const { refreshToken } of [phone, laptop]) {
+      const refresh = await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken });
+      expect(refresh.status).toBe(403);
+    }
+  });
+});
+
+describe("GET /api/auth/profile", () => {
+  it("returns the signed in user without secrets", async () => {
+    await createUser();
+    const { accessToken } = (await signIn()).body;
+
+    const res = await request(app)
+      .get("/api/auth/profile")
+      .set("Authorization", `Bearer ${accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe("ada@example.com");
+    expect(res.body.user.password).toBeUndefined();
+  });
+
+  it("needs an access token", async () => {
+    const res = await request(app).get("/api/auth/profile");
+    expect(res.status).toBe(401);
+  });
+
+  it("says when the access token has expired", async () => {
+    const user = await createUser();
+    const expired = keyManager.sign(
+      { id: user._id, exp: Math.floor(Date.now() / 1000) - 60 },
+      { audience: "leadway-api" }
+    );
+
+    const res = await request(app)
+      .get("/api/auth/profile")
+      .set("Authorization", `Bearer ${expired}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("TOKEN_EXPIRED");
+  });
+
+  it("refuses access tokens issued before the last password change", async () => {
+    const user = await createUser();
+    const before = keyManager.sign(
+      { id: user._id, iat: Math.floor(Date.now() / 1000) - 60 },
+      { audience: "leadway-api", expiresIn: "15m" }
+    );
+    // A second ago, so the token from signing in below is from a later second
+    await User.updateOne(
+      { _id: user._id },
+      { passwordChangedAt: new Date(Date.now() - 1000) }
+    );
+    const { accessToken } = (await signIn()).body;
+
+    const old = await request(app)
+      .get("/api/auth/profile")
+      .set("Authorization", `Bearer ${before}`);
+    expect(old.status).toBe(401);
+    expect(old.body.code).toBe("TOKEN_EXPIRED");
+
+    const fresh = await request(app)
+      .get("/api/auth/profile")
+      .set("Authorization", `Bearer ${accessToken}`);
+    expect(fresh.status).toBe(200);
+  });
+
+  it("refuses access tokens from the same second as the password change", async () => {
+    const user = await createUser();
+    const second = Math.floor(Date.now() / 1000) - 1;
+    const token = keyManager.sign(
+      { id: user._id, iat: second },
+      { audience: "leadway-api", expiresIn: "15m" }
+    );
+    await User.updateOne(
+      { _id: user._id },
+      { passwordChangedAt: new Date(second * 1000 + 500) }
+    );
+
+    const res = await request(app)
+      .get("/api/auth/profile")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("TOKEN_EXPIRED");
+  });
+
+  it("does not accept an email verification token as an access token", async () => {
+    const user = await createUser();
+    const verificationToken = keyManager.sign(
+      { id: user._id, purpose: "verify_email" },
+      { expiresIn: "1h" }
+    );
+
+    const res = await request(app)
+      .get("/api/auth/profile")
+      .set("Authorization", `Bearer ${verificationToken}`);
+
+    expect(res.status).toBe(403);
+  });
+});
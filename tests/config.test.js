@@ -0,0 +1,204 @@
+const crypto = require("crypto");
+const { loadConfig, ConfigError } = require("../config/schema");
+
+const signingKey = (kid, alg = "ES256") => {
+  const { privateKey } =
+    alg === "ES256"
+      ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+      : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  return { ...privateKey.export({ format: "jwk" }), kid, alg };
+};
+const publicPart = ({ d, p, q, dp, dq, qi, ...jwk }) => jwk;
+const jwks = (...keys) => JSON.stringify({ keys });
+
+// The smallest environment that passes in production.
+const production = {
+  NODE_ENV: "production",
+  MONGO_URL: "mongodb://db.internal/leadway",
+  BACKEND_URL: "https://api.example.com/",
+  FRONTEND_URL: "https://app.example.com",
+  JWT_KEYS: jwks(signingKey("2025-01")),
+  EMAIL_USER: "no-reply@example.com",
+  EMAIL_PASS: "app-password",
+};
+
+const problemsWith = (env) => {
+  try {
+    loadConfig(env);
+  } catch (err) {
+    expect(err).toBeInstanceOf(ConfigError);
+    return err.problems;
+  }
+  throw new Error("expected the configuration to be refused");
+};
+
+describe("loadConfig", () => {
+  it("builds typed settings with the profile defaults", () => {
+    const config = loadConfig(production);
+
+    expect(config).toMatchObject({
+      env: "production",
+      isProduction: true,
+      port: 5000,
+      urls: {
+        backend: "https://api.example.com", // trailing slash dropped
+        frontend: "https://app.example.com",
+      },
+      jwt: {
+        issuer: "https://api.example.com",
+        audience: "leadway-api",
+        accessExpiresIn: "15m",
+        refreshExpiresIn: "7d",
+      },
+      logLevel: "info",
+      trustProxy: 1,
+      email: {
+        transport: "gmail",
+        from: '"Leadway" <no-reply@example.com>',
+        smtp: { port: 587, secure: false },
+      },
+    });
+  });
+
+  it("lists every missing setting at once", () => {
+    expect(problemsWith({ NODE_ENV: "production" })).toEqual([
+      "MONGO_URL is required",
+      "BACKEND_URL is required",
+      "FRONTEND_URL is required",
+      "EMAIL_USER is required",
+      "EMAIL_PASS is required",
+      "JWT_KEYS or JWT_KEYS_FILE is required",
+    ]);
+  });
+
+  it("refuses malformed values with the variable name", () => {
+    expect(
+      problemsWith({
+        ...production,
+        PORT: "eighty",
+        FRONTEND_URL: "app.example.com",
+        JWT_EXPIRES_IN: "soon",
+        SMTP_SECURE: "yes",
+        LOG_LEVEL: "loud",
+        RATE_LIMIT_SIGNUP_MAX: "-1",
+      })
+    ).toEqual([
+      'PORT must be a positive whole number (got "eighty")',
+      'FRONTEND_URL must be a full URL like https://example.com (got "app.example.com")',
+      'LOG_LEVEL must be one of debug, info, warn, error, silent (got "loud")',
+      'JWT_EXPIRES_IN must be a duration like "15m", "12h" or "7d" (got "soon")',
+      'SMTP_SECURE must be "true" or "false" (got "yes")',
+      'RATE_LIMIT_SIGNUP_MAX must be a positive whole number (got "-1")',
+    ]);
+  });
+
+  it("checks the signing keys", () => {
+    const current = signingKey("2025-06");
+    const retired = publicPart(signingKey("2025-01", "RS256"));
+
+    expect(
+      loadConfig({
+        ...production,
+        JWT_KEYS: jwks(retired, current),
+        JWT_SIGNING_KID: "2025-06",
+      }).jwt.keys.map((jwk) => jwk.kid)
+    ).toEqual(["2025-01", "2025-06"]);
+
+    expect(problemsWith({ ...production, JWT_KEYS: jwks(retired) })).toEqual([
+      "JWT_KEYS must contain a private key to sign with",
+    ]);
+    expect(
+      problemsWith({
+        ...production,
+        JWT_KEYS: jwks(retired, current),
+        JWT_SIGNING_KID: "2025-01",
+      })
+    ).toEqual([
+      'JWT_SIGNING_KID "2025-01" must name a private key from JWT_KEYS',
+    ]);
+    expect(
+      problemsWith({
+        ...production,
+        JWT_KEYS: jwks({ ...current, alg: "HS256" }),
+      })[0]
+    ).toContain('key "2025-06" must be an RS256 (RSA) or ES256 (EC P-256) key');
+    expect(problemsWith({ ...production, JWT_KEYS: "secret" })[0]).toContain(
+      "JWT_KEYS must be a JSON Web Key Set"
+    );
+  });
+
+  it("only needs the settings of the chosen email transport", () => {
+    const { EMAIL_USER, EMAIL_PASS, ...withoutGmail } = production;
+
+    expect(problemsWith({ ...withoutGmail, EMAIL_TRANSPORT: "smtp" })).toEqual([
+      "SMTP_HOST is required",
+    ]);
+    expect(
+      loadConfig({
+        ...withoutGmail,
+        EMAIL_TRANSPORT: "smtp",
+        SMTP_HOST: "smtp.example.com",
+      }).email.smtp.host
+    ).toBe("smtp.example.com");
+  });
+
+  it("falls back to localhost in development", () => {
+    const config = loadConfig({
+      MONGO_URL: "mongodb://localhost/leadway",
+      EMAIL_TRANSPORT: "json",
+    });
+
+    expect(config.env).toBe("development");
+    expect(config.urls.backend).toBe("http://localhost:5000");
+    expect(config.cors.origins).toEqual(["http://localhost:5177"]);
+    expect(config.logLevel).toBe("debug");
+    expect(config.trustProxy).toBe(false);
+  });
+
+  it("reads which proxies to trust", () => {
+    const trustProxy = (TRUST_PROXY) =>
+      loadConfig({ ...production, TRUST_PROXY }).trustProxy;
+
+    expect(trustProxy("false")).toBe(false);
+    expect(trustProxy("2")).toBe(2);
+    expect(trustProxy("loopback, 10.0.0.0/8, ::1")).toEqual([
+      "loopback",
+      "10.0.0.0/8",
+      "::1",
+    ]);
+    expect(problemsWith({ ...production, TRUST_PROXY: "render" })).toEqual([
+      'TRUST_PROXY must be "true", "false", a number of proxies, or proxy addresses/subnets like "loopback, 10.0.0.0/8" (got "render")',
+    ]);
+  });
+
+  it("allows FRONTEND_URL plus CORS_ORIGINS", () => {
+    const config = loadConfig({
+      ...production,
+      CORS_ORIGINS: "https://admin.example.com, https://app.example.com/",
+    });
+
+    expect(config.cors.origins).toEqual([
+      "https://app.example.com",
+      "https://admin.example.com",
+    ]);
+  });
+
+  it("reads the rate limit overrides", () => {
+    const config = loadConfig({
+      ...production,
+      RATE_LIMIT_SIGNUP_MAX: "20",
+      RATE_LIMIT_SIGNUP_WINDOW_MINUTES: "30",
+    });
+
+    expect(config.rateLimitOverrides.SIGNUP).toEqual({
+      max: 20,
+      windowMinutes: 30,
+    });
+  });
+
+  it("refuses unknown profiles", () => {
+    expect(problemsWith({ ...production, NODE_ENV: "staging" })).toEqual([
+      'NODE_ENV must be one of development, test, production (got "staging")',
+    ]);
+  });
+});
@@ -0,0 +1,12 @@
+// Loaded by jest before every test file (see "jest" in package.json). These values must be in place
+// before the app and its config modules are required. dotenv never overrides them.
+process.env.NODE_ENV = "test";
+process.env.EMAIL_TRANSPORT = "memory"; // emails are captured, nothing leaves the machine
+process.env.EMAIL_USER = "no-reply@leadway.test";
+process.env.JWT_EXPIRES_IN = "15m"; // no JWT_KEYS: a throwaway signing key is generated (utils/jwtKeys.js)
+process.env.REFRESH_TOKEN_EXPIRES_IN = "7d";
+process.env.BACKEND_URL = "http://backend.test";
+process.env.FRONTEND_URL = "http://frontend.test";
+process.env.LOGIN_IP_MAX_FAILED_ATTEMPTS = "1000"; // every request comes from 127.0.0.1
+process.env.RATE_LIMIT_GLOBAL_MAX = "10000"; // same reason
+process.env.LOG_LEVEL = "silent"; // tests/logging.test.js checks the logs with its own logger
@@ -0,0 +1,116 @@
+const express = require("express");
+const { app, request } = require("./helpers");
+const { errorHandler } = require("../middleware/errorHandler");
+const { AuthError } = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+// None of these reach the database, so no useTestDatabase() here.
+
+describe("error envelope", () => {
+  it("answers unknown routes with 404 ROUTE_NOT_FOUND", async () => {
+    const res = await request(app).get("/api/nope?x=1");
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({
+      code: "ROUTE_NOT_FOUND",
+      message: "Cannot GET /api/nope",
+    });
+  });
+
+  it("turns a disallowed CORS origin into 403 CORS_ORIGIN_DENIED", async () => {
+    const res = await request(app)
+      .get("/")
+      .set("Origin", "https://evil.example.com");
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("CORS_ORIGIN_DENIED");
+    expect(res.headers["access-control-allow-origin"]).toBeUndefined();
+  });
+
+  it("still serves allowed origins", async () => {
+    const res = await request(app)
+      .get("/")
+      .set("Origin", "http://frontend.test");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["access-control-allow-origin"]).toBe(
+      "http://frontend.test"
+    );
+  });
+
+  it("answers malformed JSON with 400 INVALID_JSON", async () => {
+    const res = await request(app)
+      .post("/api/auth/signin")
+      .set("Content-Type", "application/json")
+      .send('{"email": ');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("INVALID_JSON");
+  });
+
+  it("answers a missing access token with 401 UNAUTHENTICATED", async () => {
+    const res = await request(app).get("/api/auth/profile");
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({
+      code: "UNAUTHENTICATED",
+      message: "Access token missing",
+    });
+  });
+
+  it("answers validation problems before touching the database", async () => {
+    const res = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: "nope" });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      code: "VALIDATION_FAILED",
+      message: "Some fields are missing or invalid",
+      details: [
+        {
+          field: "email",
+          location: "body",
+          message: "Please enter a valid email",
+        },
+      ],
+    });
+  });
+});
+
+describe("errorHandler", () => {
+  // Small app so we can throw whatever we like
+  const appThrowing = (error) =>
+    express()
+      .get("/", () => {
+        throw error;
+      })
+      .use(errorHandler);
+
+  it("uses the status and code of ApiErrors", async () => {
+    const res = await request(
+      appThrowing(new AuthError("Nope", "SOME_CODE"))
+    ).get("/");
+
+    expect(res.status).toBe(401);
+    expect(res.body).toEqual({ code: "SOME_CODE", message: "Nope" });
+  });
+
+  it("hides the details of unexpected errors", async () => {
+    const logError = jest.spyOn(logger, "error");
+
+    const res = await request(
+      appThrowing(new Error("connection string mongodb://secret"))
+    ).get("/");
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({
+      code: "INTERNAL_ERROR",
+      message: "Server Error",
+    });
+    expect(logError).toHaveBeenCalledWith("Unhandled error", {
+      err: expect.any(Error),
+    }); // but they are logged
+    logError.mockRestore();
+  });
+});
@@ -0,0 +1,209 @@
+// Shared setup for the integration tests: an in-memory MongoDB per test file, plus helpers to
+// create users, sign in, read the captured emails and check responses against the API docs.
+//
+// The tests never go online. The mongod binary is the version pinned under "config" in package.json,
+// downloaded once by `npm install` (mongodb-memory-server's postinstall) into node_modules/.cache;
+// runtimeDownload is off, so a missing binary fails the run instead of downloading it mid-test.
+// Where installs can't download it (CI without internet, or installed with --ignore-scripts), point
+// MONGOMS_SYSTEM_BINARY at a mongod of the same version, e.g.
+//   MONGOMS_SYSTEM_BINARY=/usr/bin/mongod npm test
+
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+const request = require("supertest");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const app = require("../app");
+const User = require("../models/user");
+const { sentEmails, clearSentEmails } = require("../utils/email");
+const { flushAuditEvents } = require("../utils/audit");
+const { buildOpenApiDocument } = require("../utils/openapi");
+const routes = require("../routes");
+
+// Call once at the top of a test file: fresh database for the file, empty collections and
+// mailbox before every test.
+const useTestDatabase = () => {
+  let mongo;
+
+  beforeAll(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+    await Promise.all(
+      Object.values(mongoose.models).map((model) => model.syncIndexes())
+    );
+  });
+
+  beforeEach(async () => {
+    await flushAuditEvents(); // so the previous test's events don't land after the cleanup
+    const collections = await mongoose.connection.db.collections();
+    await Promise.all(collections.map((collection) => collection.deleteMany()));
+    clearSentEmails();
+  });
+
+  afterAll(async () => {
+    await flushAuditEvents();
+    await mongoose.disconnect();
+    if (mongo) await mongo.stop();
+  });
+};
+
+const PASSWORD = "Password123";
+
+// Verified user with a known password, ready to sign in.
+const createUser = async ({ password = PASSWORD, ...fields } = {}) =>
+  User.create({
+    fullName: "Ada Lovelace",
+    email: "ada@example.com",
+    verified: true,
+    ...fields,
+    password: await bcrypt.hash(password, 4),
+  });
+
+const signIn = (email = "ada@example.com", password = PASSWORD) =>
+  request(app).post("/api/auth/signin").send({ email, password });
+
+// Last captured email sent to `to`.
+const lastEmailTo = (to) =>
+  [...sentEmails].reverse().find((email) => email.to === to);
+
+// For emails sent in the background (after the response): waits until one reaches `to`.
+const waitForEmailTo = async (to, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!lastEmailTo(to) && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  return lastEmailTo(to);
+};
+
+// Pulls the token at the end of a link like http://backend.test/api/auth/verify-email/<token>.
+const tokenFromEmail = (email, path) => {
+  const match = email.text.match(new RegExp(`${path}/([^\\s]+)`));
+  return match && match[1];
+};
+
+// ==================== OPENAPI ===============
+// Checks a response against the OpenAPI document (utils/openapi.js): its status must be documented for
+// the route, with the same content type, and a JSON body must match the schema. Returns the problems,
+// so `expect(specProblems(res)).toEqual([])` shows exactly what drifted.
+const openApiDocument = buildOpenApiDocument(routes);
+
+const resolveSchema = (schema) =>
+  schema.$ref
+    ? resolveSchema(
+        openApiDocument.components.schemas[schema.$ref.split("/").pop()]
+      )
+    : schema;
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === "number",
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+// The parts of JSON schema docs/schemas.js uses: $ref, allOf, oneOf, type, enum, properties,
+// required, additionalProperties: false and items.
+const schemaProblems = (rawSchema, value, at = "body") => {
+  const schema = resolveSchema(rawSchema);
+  const problems = [];
+
+  for (const part of schema.allOf || []) {
+    problems.push(...schemaProblems(part, value, at));
+  }
+  if (schema.oneOf) {
+    const matching = schema.oneOf.filter(
+      (option) => schemaProblems(option, value, at).length === 0
+    );
+    if (matching.length !== 1) {
+      problems.push(`${at} matches ${matching.length} of its oneOf schemas`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at} is ${JSON.stringify(value)}, not one of the enum`);
+  }
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) {
+    problems.push(`${at} is not of type ${schema.type}`);
+    return problems;
+  }
+
+  if (TYPE_CHECKS.object(value) && schema.properties) {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) problems.push(`${at}.${name} is missing`);
+    }
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (schema.properties[name]) {
+        problems.push(
+          ...schemaProblems(
+            schema.properties[name],
+            propertyValue,
+            `${at}.${name}`
+          )
+        );
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${at}.${name} is not documented`);
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      problems.push(...schemaProblems(schema.items, item, `${at}[${i}]`));
+    });
+  }
+  return problems;
+};
+
+// "/api/auth/sessions/{id}" → /^\/api\/auth\/sessions\/[^/]+$/
+const pathPattern = (template) =>
+  new RegExp(
+    `^${template
+      .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+      .replace(/{\w+}/g, "[^/]+")}$`
+  );
+
+const specProblems = (res) => {
+  const method = res.request.method.toLowerCase();
+  const { pathname } = new URL(res.request.url);
+  const path = Object.keys(openApiDocument.paths).find(
+    (template) =>
+      pathPattern(template).test(pathname) &&
+      openApiDocument.paths[template][method]
+  );
+  if (!path) {
+    return [`${method.toUpperCase()} ${pathname} is not documented`];
+  }
+
+  const operation = openApiDocument.paths[path][method];
+  const response = operation.responses[res.status];
+  if (!response) {
+    return [`${method.toUpperCase()} ${path} does not document ${res.status}`];
+  }
+
+  const content = response.content || {};
+  if (!content[res.type]) {
+    return [
+      `${method.toUpperCase()} ${path} ${res.status} is ${
+        res.type
+      }, documented as ${Object.keys(content).join(", ")}`,
+    ];
+  }
+  return res.type === "application/json"
+    ? schemaProblems(content[res.type].schema, res.body)
+    : [];
+};
+
+module.exports = {
+  app,
+  request,
+  PASSWORD,
+  useTestDatabase,
+  createUser,
+  signIn,
+  sentEmails,
+  lastEmailTo,
+  waitForEmailTo,
+  tokenFromEmail,
+  openApiDocument,
+  specProblems,
+};
@@ -0,0 +1,130 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { KeyManager, keyManager } = require("../utils/jwtKeys");
+const { app, request } = require("./helpers");
+
+// None of these reach the database, so no useTestDatabase() here.
+
+const signingKey = (kid, alg = "ES256") => {
+  const { privateKey } =
+    alg === "ES256"
+      ? crypto.generateKeyPairSync("ec", { namedCurve: "P-256" })
+      : crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+  return { ...privateKey.export({ format: "jwk" }), kid, alg };
+};
+const publicPart = ({ d, p, q, dp, dq, qi, ...jwk }) => jwk;
+
+const settings = { issuer: "https://api.example.com", audience: "leadway-api" };
+
+describe("KeyManager", () => {
+  const oldKey = signingKey("old", "RS256");
+  const newKey = signingKey("new");
+
+  it("signs with the kid, issuer and audience, and verifies them", () => {
+    const keys = new KeyManager({ keys: [newKey], ...settings });
+
+    const token = keys.sign({ id: "42" }, { audience: "leadway-api" });
+    const { header, payload } = jwt.decode(token, { complete: true });
+
+    expect(header).toMatchObject({ alg: "ES256", kid: "new" });
+    expect(payload).toMatchObject({
+      id: "42",
+      iss: "https://api.example.com",
+      aud: "leadway-api",
+    });
+    expect(keys.verify(token, { audience: "leadway-api" }).id).toBe("42");
+  });
+
+  it("keeps accepting tokens from a retired key after rotating", () => {
+    const before = new KeyManager({ keys: [oldKey], ...settings });
+    const token = before.sign({ id: "42" });
+
+    const after = new KeyManager({
+      keys: [publicPart(oldKey), newKey],
+      ...settings,
+    });
+
+    expect(after.verify(token).id).toBe("42");
+    expect(jwt.decode(after.sign({}), { complete: true }).header.kid).toBe(
+      "new"
+    );
+  });
+
+  it("rejects unknown keys, other issuers, audiences and purposes", () => {
+    const keys = new KeyManager({ keys: [newKey], ...settings });
+    const stranger = new KeyManager({
+      keys: [signingKey("other")],
+      ...settings,
+    });
+    const otherIssuer = new KeyManager({
+      keys: [newKey],
+      ...settings,
+      issuer: "https://evil.example.com",
+    });
+
+    expect(() => keys.verify(stranger.sign({}))).toThrow(jwt.JsonWebTokenError);
+    expect(() =>
+      keys.verify(otherIssuer.sign({}, { audience: settings.issuer }))
+    ).toThrow(/issuer invalid/);
+    expect(() =>
+      keys.verify(keys.sign({}), { audience: "leadway-api" })
+    ).toThrow(/audience invalid/);
+    expect(() =>
+      keys.verify(keys.sign({ purpose: "2fa_challenge" }), {
+        purpose: "verify_email",
+      })
+    ).toThrow(jwt.JsonWebTokenError);
+  });
+
+  it("does not accept an HMAC token made with a public key", () => {
+    const keys = new KeyManager({ keys: [newKey], ...settings });
+    const forged = jwt.sign(
+      { id: "42", iss: settings.issuer, aud: settings.issuer },
+      JSON.stringify(keys.jwks().keys[0]),
+      { algorithm: "HS256", keyid: "new" }
+    );
+
+    expect(() => keys.verify(forged)).toThrow(/invalid algorithm/);
+  });
+});
+
+describe("GET /.well-known/jwks.json", () => {
+  it("publishes the public keys only, and can be cached", async () => {
+    const res = await request(app).get("/.well-known/jwks.json");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["cache-control"]).toBe("public, max-age=300");
+    expect(res.body.keys).toHaveLength(1);
+    expect(res.body.keys[0]).toMatchObject({ use: "sig", alg: "ES256" });
+    expect(res.body.keys[0].d).toBeUndefined();
+  });
+
+  it("is enough to verify an access token", async () => {
+    const { keys } = (await request(app).get("/.well-known/jwks.json")).body;
+    const token = keyManager.sign({ id: "42" }, { audience: "leadway-api" });
+    const { kid } = jwt.decode(token, { complete: true }).header;
+
+    const publicKey = crypto.createPublicKey({
+      key: keys.find((key) => key.kid === kid),
+      format: "jwk",
+    });
+    expect(
+      jwt.verify(token, publicKey, {
+        algorithms: ["ES256"],
+        audience: "leadway-api",
+        issuer: "http://backend.test",
+      }).id
+    ).toBe("42");
+  });
+
+  it("refuses a refresh token as an access token", async () => {
+    const refreshToken = keyManager.sign({ id: "42", purpose: "refresh" });
+
+    const res = await request(app)
+      .get("/api/auth/profile")
+      .set("Authorization", `Bearer ${refreshToken}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("INVALID_TOKEN");
+  });
+});
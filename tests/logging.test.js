@@ -0,0 +1,155 @@
+const express = require("express");
+const { request } = require("./helpers");
+const { createLogger } = require("../utils/logger");
+const { requestLogger, markMountPath } = require("../middleware/requestLogger");
+const { errorHandler } = require("../middleware/errorHandler");
+const { NotFoundError } = require("../utils/errors");
+
+// None of these reach the database, so no useTestDatabase() here.
+
+// Logger that keeps its lines (parsed) instead of writing them to stdout.
+const capturingLogger = (level = "debug") => {
+  const lines = [];
+  const logger = createLogger({
+    level,
+    write: (line) => lines.push(JSON.parse(line)),
+  });
+  return { logger, lines };
+};
+
+describe("logger", () => {
+  it("writes one JSON object per line with the level and fields", () => {
+    const { logger, lines } = capturingLogger();
+
+    logger.info("Server is running", { port: 5000 });
+
+    expect(lines).toEqual([
+      {
+        time: expect.any(String),
+        level: "info",
+        msg: "Server is running",
+        port: 5000,
+      },
+    ]);
+  });
+
+  it("skips levels below the configured one", () => {
+    const { logger, lines } = capturingLogger("warn");
+
+    logger.debug("a");
+    logger.info("b");
+    logger.warn("c");
+    logger.error("d");
+
+    expect(lines.map((line) => line.level)).toEqual(["warn", "error"]);
+  });
+
+  it("redacts passwords, tokens and Authorization at any depth", () => {
+    const { logger, lines } = capturingLogger();
+
+    logger.info("request", {
+      body: { email: "ada@example.com", password: "x", newPassword: "y" },
+      headers: { Authorization: "Bearer abc", cookie: "sid=1" },
+      tokens: [{ refreshToken: "r" }],
+      challengeToken: "c",
+    });
+
+    expect(lines[0]).toMatchObject({
+      body: {
+        email: "ada@example.com",
+        password: "[REDACTED]",
+        newPassword: "[REDACTED]",
+      },
+      headers: { Authorization: "[REDACTED]", cookie: "[REDACTED]" },
+      tokens: "[REDACTED]",
+      challengeToken: "[REDACTED]",
+    });
+  });
+
+  it("serializes errors", () => {
+    const { logger, lines } = capturingLogger();
+
+    logger.error("Startup error", { err: new TypeError("boom") });
+
+    expect(lines[0].err).toMatchObject({
+      name: "TypeError",
+      message: "boom",
+      stack: expect.stringContaining("boom"),
+    });
+  });
+
+  it("adds the child's fields to every line", () => {
+    const { logger, lines } = capturingLogger();
+
+    logger.child({ requestId: "abc" }).warn("hello");
+
+    expect(lines[0]).toMatchObject({ requestId: "abc", msg: "hello" });
+  });
+});
+
+describe("requestLogger", () => {
+  const tracedApp = (logger) => {
+    const router = express
+      .Router()
+      .get("/users/:id", (req, res) => {
+        req.log.info("looking up user");
+        res.json({ ok: true });
+      })
+      .get("/missing/:id", () => {
+        throw new NotFoundError();
+      });
+
+    return express()
+      .use(requestLogger({ logger }))
+      .use("/api/admin", markMountPath, router)
+      .use(errorHandler);
+  };
+
+  it("uses the incoming X-Request-Id on every line and sends it back", async () => {
+    const { logger, lines } = capturingLogger();
+
+    const res = await request(tracedApp(logger))
+      .get("/api/admin/users/42")
+      .set("X-Request-Id", "req-123");
+
+    expect(res.headers["x-request-id"]).toBe("req-123");
+    expect(lines.map((line) => [line.msg, line.requestId])).toEqual([
+      ["looking up user", "req-123"],
+      ["request", "req-123"],
+    ]);
+  });
+
+  it("generates an id when there is none or it looks wrong", async () => {
+    const { logger } = capturingLogger();
+    const app = tracedApp(logger);
+
+    const none = await request(app).get("/api/admin/users/42");
+    const forged = await request(app)
+      .get("/api/admin/users/42")
+      .set("X-Request-Id", 'x" level=error');
+
+    expect(none.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    expect(forged.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  it("logs method, route pattern, status and latency", async () => {
+    const { logger, lines } = capturingLogger();
+    const app = tracedApp(logger);
+
+    await request(app).get("/api/admin/missing/secret-token");
+    await request(app).get("/nowhere");
+
+    expect(lines).toEqual([
+      expect.objectContaining({
+        level: "warn",
+        msg: "request",
+        method: "GET",
+        route: "/api/admin/missing/:id",
+        status: 404,
+        durationMs: expect.any(Number),
+      }),
+      expect.objectContaining({ route: null, status: 404 }),
+    ]);
+    expect(JSON.stringify(lines)).not.toContain("secret-token");
+  });
+});
@@ -0,0 +1,102 @@
+const { app, request } = require("./helpers");
+const config = require("../config");
+const {
+  recordAuthMetrics,
+  renderMetrics,
+  resetMetrics,
+} = require("../utils/metrics");
+
+// None of these reach the database (it's deliberately not connected), so no useTestDatabase() here.
+
+beforeEach(resetMetrics);
+
+describe("GET /health/live", () => {
+  it("answers while the process runs", async () => {
+    const res = await request(app).get("/health/live");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ok");
+  });
+});
+
+describe("GET /health/ready", () => {
+  it("is unavailable without the database, with details per dependency", async () => {
+    const res = await request(app).get("/health/ready");
+
+    expect(res.status).toBe(503);
+    expect(res.body).toEqual({
+      status: "unavailable",
+      checks: {
+        database: { status: "down", state: "disconnected" },
+        email: { status: "up", transport: "memory" },
+      },
+    });
+  });
+});
+
+describe("GET /metrics", () => {
+  it("counts requests by route pattern and status, with latency", async () => {
+    await request(app).get("/health/live");
+    await request(app).get("/api/auth/profile"); // 401, no token
+    await request(app).get("/api/nope/123");
+
+    const res = await request(app).get("/metrics");
+
+    expect(res.status).toBe(200);
+    expect(res.headers["content-type"]).toContain("text/plain");
+    expect(res.text).toContain("# TYPE http_requests_total counter");
+    expect(res.text).toContain(
+      'http_requests_total{method="GET",route="/health/live",status="200"} 1'
+    );
+    expect(res.text).toContain(
+      'http_requests_total{method="GET",route="/api/auth/profile",status="401"} 1'
+    );
+    expect(res.text).toContain(
+      'http_requests_total{method="GET",route="unmatched",status="404"} 1'
+    );
+    expect(res.text).toContain(
+      'http_request_duration_seconds_bucket{method="GET",route="/health/live",status="200",le="+Inf"} 1'
+    );
+    expect(res.text).toContain(
+      'http_request_duration_seconds_count{method="GET",route="/health/live",status="200"} 1'
+    );
+  });
+
+  it("has the auth counters", async () => {
+    recordAuthMetrics({ type: "signup", outcome: "success" });
+    recordAuthMetrics({
+      type: "signin",
+      outcome: "success",
+      metadata: { method: "magic_link" },
+    });
+    recordAuthMetrics({
+      type: "signin",
+      outcome: "failure",
+      reason: "WRONG_PASSWORD",
+      metadata: { method: "password" },
+    });
+    recordAuthMetrics({ type: "token_refresh", outcome: "success" });
+
+    const text = renderMetrics();
+
+    expect(text).toContain('auth_signups_total{method="password"} 1');
+    expect(text).toContain('auth_logins_total{method="magic_link"} 1');
+    expect(text).toContain(
+      'auth_failed_logins_total{method="password",reason="WRONG_PASSWORD"} 1'
+    );
+    expect(text).toContain('auth_token_refreshes_total{outcome="success"} 1');
+  });
+
+  it("wants the bearer token when METRICS_TOKEN is set", async () => {
+    const token = jest.replaceProperty(config.metrics, "token", "scrape-me");
+
+    const without = await request(app).get("/metrics");
+    const withToken = await request(app)
+      .get("/metrics")
+      .set("Authorization", "Bearer scrape-me");
+
+    expect(without.status).toBe(401);
+    expect(withToken.status).toBe(200);
+    token.restore();
+  });
+});
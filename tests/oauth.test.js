@@ -0,0 +1,293 @@
+// Google sign-in against a mock OpenID Connect provider: a second express app, started in this process,
+// that serves discovery, JWKS and token endpoints and signs the ID tokens with its own key.
+process.env.OAUTH_GOOGLE_CLIENT_ID = "leadway-test-client";
+process.env.OAUTH_GOOGLE_CLIENT_SECRET = "test-secret";
+process.env.OAUTH_GOOGLE_ISSUER = "https://accounts.mock.test";
+process.env.RATE_LIMIT_OAUTH_MAX = "1000"; // every request comes from 127.0.0.1
+
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const User = require("../models/user");
+const { getProvider } = require("../config/oauth");
+const {
+  app,
+  request,
+  useTestDatabase,
+  createUser,
+  signIn,
+} = require("./helpers");
+
+useTestDatabase();
+
+const ISSUER = "https://accounts.mock.test";
+const CLIENT_ID = "leadway-test-client";
+
+const newKey = () =>
+  crypto.generateKeyPairSync("rsa", { modulusLength: 2048 }).privateKey;
+
+// ==================== MOCK PROVIDER ===============
+const mockProvider = () => {
+  const signingKey = newKey();
+  const codes = new Map(); // authorization code -> what the token endpoint answers for it
+  const provider = express();
+  let server;
+  let baseUrl;
+
+  provider.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${baseUrl}/authorize`,
+      token_endpoint: `${baseUrl}/token`,
+      jwks_uri: `${baseUrl}/jwks`,
+    });
+  });
+
+  provider.get("/jwks", (req, res) => {
+    const jwk = crypto.createPublicKey(signingKey).export({ format: "jwk" });
+    res.json({ keys: [{ ...jwk, kid: "mock-1", alg: "RS256", use: "sig" }] });
+  });
+
+  // Codes work once, for the client they were issued to, with the verifier matching the PKCE challenge
+  provider.post(
+    "/token",
+    express.urlencoded({ extended: false }),
+    (req, res) => {
+      const issued = codes.get(req.body.code);
+      codes.delete(req.body.code);
+      const challenge = crypto
+        .createHash("sha256")
+        .update(req.body.code_verifier || "")
+        .digest("base64url");
+
+      if (
+        !issued ||
+        req.body.client_id !== CLIENT_ID ||
+        challenge !== issued.codeChallenge
+      ) {
+        return res.status(400).json({ error: "invalid_grant" });
+      }
+      res.json({ access_token: "mock-access-token", id_token: issued.idToken });
+    }
+  );
+
+  return {
+    start: () =>
+      new Promise((resolve) => {
+        server = provider.listen(0, "127.0.0.1", () => {
+          baseUrl = `http://127.0.0.1:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      }),
+    stop: () => new Promise((resolve) => server.close(resolve)),
+
+    // What the provider does once the user agreed: an ID token for `claims`, behind a new code
+    issueCode: ({ nonce, codeChallenge }, claims = {}, key = signingKey) => {
+      const code = crypto.randomBytes(16).toString("hex");
+      const idToken = jwt.sign(
+        {
+          iss: ISSUER,
+          aud: CLIENT_ID,
+          sub: "google-user-1",
+          email: "ada@example.com",
+          email_verified: true,
+          name: "Ada Lovelace",
+          nonce,
+          ...claims,
+        },
+        key,
+        {
+          algorithm: "RS256",
+          keyid: "mock-1",
+          ...(claims.exp === undefined && { expiresIn: "5m" }),
+        }
+      );
+      codes.set(code, { codeChallenge, idToken });
+      return code;
+    },
+  };
+};
+
+const provider = mockProvider();
+
+beforeAll(async () => {
+  const baseUrl = await provider.start();
+  // Config is read when the app loads, before the mock provider has a port
+  Object.assign(getProvider("google"), {
+    discoveryUrl: `${baseUrl}/.well-known/openid-configuration`,
+  });
+});
+
+afterAll(() => provider.stop());
+
+// The frontend's part: start the flow, "log in" at the provider, come back with a code and the state
+const authorize = async () => {
+  const res = await request(app).get("/api/auth/oauth/google/authorize");
+  expect(res.status).toBe(200);
+  const params = new URL(res.body.authorizationUrl).searchParams;
+  return {
+    state: res.body.state,
+    nonce: params.get("nonce"),
+    codeChallenge: params.get("code_challenge"),
+  };
+};
+
+const callback = (body) =>
+  request(app).post("/api/auth/oauth/google/callback").send(body);
+
+const signInWithGoogle = async (claims) => {
+  const attempt = await authorize();
+  return callback({
+    state: attempt.state,
+    code: provider.issueCode(attempt, claims),
+  });
+};
+
+describe("GET /api/auth/oauth/google/authorize", () => {
+  it("points at the provider with state, nonce and a PKCE challenge", async () => {
+    const res = await request(app).get("/api/auth/oauth/google/authorize");
+    const url = new URL(res.body.authorizationUrl);
+
+    expect(url.pathname).toBe("/authorize");
+    expect(Object.fromEntries(url.searchParams)).toMatchObject({
+      response_type: "code",
+      client_id: CLIENT_ID,
+      redirect_uri: "http://frontend.test/oauth/google/callback",
+      scope: "openid email profile",
+      state: res.body.state,
+      code_challenge_method: "S256",
+    });
+    expect(url.searchParams.get("nonce")).toBeTruthy();
+    expect(url.searchParams.get("code_challenge")).toBeTruthy();
+  });
+});
+
+describe("POST /api/auth/oauth/google/callback", () => {
+  it("creates a verified account for a new user and signs them in", async () => {
+    const res = await signInWithGoogle();
+
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+
+    const user = await User.findOne({ email: "ada@example.com" });
+    expect(user.verified).toBe(true);
+    expect(user.fullName).toBe("Ada Lovelace");
+    expect(user.identities).toEqual([
+      expect.objectContaining({ provider: "google", subject: "google-user-1" }),
+    ]);
+  });
+
+  it("signs the same user in again without creating another account", async () => {
+    await signInWithGoogle();
+
+    // Still found by the provider's user id after changing email there
+    const res = await signInWithGoogle({ email: "ada@newmail.example" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.email).toBe("ada@example.com");
+    expect(await User.countDocuments()).toBe(1);
+  });
+
+  it("links to the account with the same verified email", async () => {
+    const existing = await createUser();
+
+    const res = await signInWithGoogle();
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.id).toBe(String(existing._id));
+    const user = await User.findById(existing._id);
+    expect(user.identities).toHaveLength(1);
+    expect((await signIn()).status).toBe(200); // the password keeps working
+  });
+
+  it("takes an unverified account away from whoever picked its password", async () => {
+    await createUser({ verified: false });
+
+    const res = await signInWithGoogle();
+
+    expect(res.status).toBe(200);
+    expect((await signIn()).body.code).toBe("INVALID_CREDENTIALS");
+  });
+
+  it("refuses a disabled account before linking anything", async () => {
+    const existing = await createUser({ verified: false, disabled: true });
+
+    const res = await signInWithGoogle();
+
+    expect(res.status).toBe(403);
+    expect(res.body.code).toBe("ACCOUNT_DISABLED");
+    const user = await User.findById(existing._id);
+    expect(user.identities).toHaveLength(0);
+    expect(user.verified).toBe(false);
+    expect(user.password).toBe(existing.password);
+  });
+
+  it("only links or creates accounts for emails the provider verified", async () => {
+    await createUser();
+
+    const res = await signInWithGoogle({ email_verified: false });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("PROVIDER_EMAIL_NOT_VERIFIED");
+    expect((await User.findOne()).identities).toHaveLength(0);
+  });
+
+  it("asks users with 2FA for a code", async () => {
+    await createUser({
+      twoFactor: { enabled: true, secret: "JBSWY3DPEHPK3PXP" },
+    });
+
+    const res = await signInWithGoogle();
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.accessToken).toBeUndefined();
+  });
+
+  it.each([
+    ["signed with another key", {}, newKey()],
+    ["from another issuer", { iss: "https://evil.example" }],
+    ["for another client", { aud: "someone-else" }],
+    ["with another nonce", { nonce: "replayed-nonce" }],
+    ["that has expired", { exp: Math.floor(Date.now() / 1000) - 60 }],
+  ])("rejects an ID token %s", async (_, claims, key) => {
+    const attempt = await authorize();
+
+    const res = await callback({
+      state: attempt.state,
+      code: provider.issueCode(attempt, claims, key),
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("PROVIDER_SIGNIN_FAILED");
+    expect(await User.countDocuments()).toBe(0);
+  });
+
+  it("accepts each state once", async () => {
+    const attempt = await authorize();
+    const code = provider.issueCode(attempt);
+
+    expect((await callback({ state: attempt.state, code })).status).toBe(200);
+
+    const replay = await callback({ state: attempt.state, code });
+    expect(replay.status).toBe(400);
+    expect(replay.body.code).toBe("INVALID_STATE");
+
+    const unknown = await callback({ state: "made-up", code });
+    expect(unknown.body.code).toBe("INVALID_STATE");
+  });
+
+  it("binds the code to the PKCE verifier of its own attempt", async () => {
+    const victim = await authorize();
+    const attacker = await authorize();
+
+    // A code issued for one attempt, replayed with the state (and so the verifier) of another
+    const res = await callback({
+      state: attacker.state,
+      code: provider.issueCode(victim),
+    });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("PROVIDER_SIGNIN_FAILED");
+  });
+});
@@ -0,0 +1,270 @@
+const { app, request, openApiDocument, specProblems } = require("./helpers");
+const routes = require("../routes");
+const { listRoutes } = require("../utils/openapi");
+const { operations } = require("../docs/operations");
+
+// None of these reach the database, so no useTestDatabase() here. The responses that need it are
+// checked in tests/openapiFlows.test.js.
+
+describe("OpenAPI document", () => {
+  it("documents every route, and nothing else", () => {
+    const routeKeys = listRoutes(routes).map(
+      ({ method, path }) => `${method} ${path}`
+    );
+
+    // A route without an entry in docs/operations.js, or an entry left behind by a removed route
+    expect(routeKeys.filter((key) => !operations[key])).toEqual([]);
+    expect(
+      Object.keys(operations).filter((key) => !routeKeys.includes(key))
+    ).toEqual([]);
+    expect(routeKeys).toContain("POST /api/auth/signup");
+    expect(routeKeys).toContain("GET /api/auth/verify-email/{token}");
+  });
+
+  it("only points at schemas that exist", () => {
+    const refs = JSON.stringify(openApiDocument).match(
+      /"#\/components\/schemas\/\w+"/g
+    );
+    const missing = refs
+      .map((ref) => JSON.parse(ref).split("/").pop())
+      .filter((name) => !openApiDocument.components.schemas[name]);
+
+    expect(missing).toEqual([]);
+  });
+
+  it("takes the request body from the validation rules", () => {
+    const schema =
+      openApiDocument.paths["/api/auth/signup"].post.requestBody.content[
+        "application/json"
+      ].schema;
+
+    expect(schema.required).toEqual(["fullName", "email", "password"]);
+    expect(schema.properties.email).toMatchObject({
+      type: "string",
+      format: "email",
+      description: "Please enter a valid email",
+    });
+    expect(schema.properties.password).toMatchObject({
+      type: "string",
+      minLength: 8,
+      pattern: "\\d",
+      allOf: [{ pattern: "[A-Z]" }],
+    });
+  });
+
+  it("nests body fields and leaves optional ones out of required", () => {
+    const schema =
+      openApiDocument.paths["/api/auth/profile"].patch.requestBody.content[
+        "application/json"
+      ].schema;
+
+    expect(schema.required).toBeUndefined();
+    expect(schema.properties.preferences).toMatchObject({
+      type: "object",
+      properties: {
+        theme: { type: "string", enum: ["light", "dark", "system"] },
+        marketingEmails: { type: "boolean" },
+      },
+    });
+  });
+
+  it("takes path and query parameters from the validation rules", () => {
+    const { parameters } = openApiDocument.paths["/api/admin/users/{id}"].get;
+    expect(parameters).toEqual([
+      {
+        name: "id",
+        in: "path",
+        required: true,
+        schema: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+        description: "Invalid user id",
+      },
+    ]);
+
+    const limit = openApiDocument.paths["/api/admin/users"].get.parameters.find(
+      (parameter) => parameter.name === "limit"
+    );
+    expect(limit).toEqual({
+      name: "limit",
+      in: "query",
+      required: false,
+      schema: { type: "integer", minimum: 1, maximum: 100 },
+    });
+  });
+
+  it("puts the bearer scheme and its errors on authenticated routes only", () => {
+    const profile = openApiDocument.paths["/api/auth/profile"].get;
+    expect(profile.security).toEqual([{ bearerAuth: [] }]);
+    expect(
+      profile.responses[401].content["application/json"].schema.allOf[1]
+        .properties.code.enum
+    ).toEqual(["UNAUTHENTICATED", "TOKEN_EXPIRED"]);
+
+    const signup = openApiDocument.paths["/api/auth/signup"].post;
+    expect(signup.security).toBeUndefined();
+    expect(signup.responses[401]).toBeUndefined();
+    expect(openApiDocument.components.securitySchemes.bearerAuth).toMatchObject(
+      { type: "http", scheme: "bearer", bearerFormat: "JWT" }
+    );
+  });
+
+  it("lists the roles, error codes and rate limits of a route", () => {
+    const role = openApiDocument.paths["/api/admin/users/{id}/role"].patch;
+    expect(role["x-permissions"]).toEqual(["users:roles"]);
+    expect(role["x-roles"]).toEqual(["admin"]);
+    expect(openApiDocument.paths["/api/admin/users"].get["x-roles"]).toEqual([
+      "support",
+      "admin",
+    ]);
+    expect(role.responses[403].description).toBe(
+      "Forbidden: INVALID_TOKEN, FORBIDDEN"
+    );
+    expect(role.responses[400].description).toContain("CANNOT_CHANGE_SELF");
+
+    // Wrong 2FA codes count against the same limit as failed sign-ins
+    for (const path of ["/api/auth/2fa/confirm", "/api/auth/2fa/disable"]) {
+      expect(openApiDocument.paths[path].post.responses[429]).toEqual(
+        openApiDocument.paths["/api/auth/signin/2fa"].post.responses[429]
+      );
+    }
+
+    const signup = openApiDocument.paths["/api/auth/signup"].post;
+    expect(signup.responses[429].description).toBe(
+      "Too Many Requests: RATE_LIMITED (10 requests per 60 minutes)"
+    );
+  });
+});
+
+describe("GET /api/docs", () => {
+  it("serves the document as JSON", async () => {
+    const res = await request(app).get("/api/docs/openapi.json");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual(JSON.parse(JSON.stringify(openApiDocument)));
+    expect(res.body.openapi).toBe("3.0.3");
+    expect(specProblems(res)).toEqual([]);
+  });
+
+  it("serves Swagger UI, with a CSP that only lets its scripts run", async () => {
+    const res = await request(app).get("/api/docs");
+
+    expect(res.status).toBe(200);
+    expect(res.type).toBe("text/html");
+    expect(res.text).toContain('url: "/api/docs/openapi.json"');
+
+    const nonce = res.text.match(/<script nonce="([^"]+)">/)[1];
+    const csp = res.headers["content-security-policy"];
+    expect(csp).toContain("default-src 'none'");
+    expect(csp).toContain(`'nonce-${nonce}'`);
+    expect(csp).not.toContain("'unsafe-eval'");
+    expect(csp).not.toContain("https:");
+    expect(specProblems(res)).toEqual([]);
+  });
+
+  it("serves Swagger UI's script and styles itself, and nothing else of the package", async () => {
+    const page = await request(app).get("/api/docs");
+    const assets = [...page.text.matchAll(/(?:src|href)="([^"]+)"/g)].map(
+      ([, url]) => url
+    );
+    expect(assets).toEqual([
+      "/api/docs/assets/swagger-ui.css",
+      "/api/docs/assets/swagger-ui-bundle.js",
+    ]);
+
+    const css = await request(app).get(assets[0]);
+    expect(css.status).toBe(200);
+    expect(css.type).toBe("text/css");
+    const script = await request(app).get(assets[1]);
+    expect(script.status).toBe(200);
+    expect(script.type).toBe("text/javascript");
+
+    const other = await request(app).get("/api/docs/assets/index.html");
+    expect(other.status).toBe(404);
+  });
+});
+
+describe("responses match the document", () => {
+  it("finds undocumented fields and statuses", () => {
+    const fake = (status, body) => ({
+      request: { method: "GET", url: "http://backend.test/health/live" },
+      status,
+      type: "application/json",
+      body,
+    });
+
+    expect(
+      specProblems(fake(200, { status: "ok", uptime: 1, pid: 7 }))
+    ).toEqual(["body.pid is not documented"]);
+    expect(specProblems(fake(200, { status: "up" }))).toEqual([
+      "body.uptime is missing",
+      'body.status is "up", not one of the enum',
+    ]);
+    expect(specProblems(fake(418, {}))).toEqual([
+      "GET /health/live does not document 418",
+    ]);
+  });
+
+  it("validation errors", async () => {
+    const signup = await request(app)
+      .post("/api/auth/signup")
+      .send({ email: "not-an-email" });
+    expect(signup.status).toBe(400);
+    expect(specProblems(signup)).toEqual([]);
+
+    const signin = await request(app).post("/api/auth/signin").send({});
+    expect(signin.status).toBe(400);
+    expect(specProblems(signin)).toEqual([]);
+  });
+
+  it("missing and invalid tokens", async () => {
+    const noToken = await request(app).get("/api/auth/profile");
+    expect(noToken.status).toBe(401);
+    expect(specProblems(noToken)).toEqual([]);
+
+    const badToken = await request(app)
+      .get("/api/admin/users")
+      .set("Authorization", "Bearer not-a-jwt");
+    expect(badToken.status).toBe(403);
+    expect(specProblems(badToken)).toEqual([]);
+
+    const noRefresh = await request(app).post("/api/auth/refresh").send({});
+    expect(noRefresh.status).toBe(401);
+    expect(specProblems(noRefresh)).toEqual([]);
+
+    const badRefresh = await request(app)
+      .post("/api/auth/refresh")
+      .send({ refreshToken: "not-a-jwt" });
+    expect(badRefresh.status).toBe(403);
+    expect(specProblems(badRefresh)).toEqual([]);
+
+    const logout = await request(app).post("/api/auth/logout").send({});
+    expect(logout.status).toBe(401);
+    expect(specProblems(logout)).toEqual([]);
+  });
+
+  it("the HTML page of an invalid verification link", async () => {
+    const res = await request(app).get("/api/auth/verify-email/not-a-jwt");
+
+    expect(res.status).toBe(400);
+    expect(specProblems(res)).toEqual([]);
+  });
+
+  it("unknown sign-in providers", async () => {
+    const res = await request(app).get("/api/auth/oauth/myspace/authorize");
+
+    expect(res.status).toBe(404);
+    expect(specProblems(res)).toEqual([]);
+  });
+
+  it("monitoring routes and the signing keys", async () => {
+    for (const path of [
+      "/",
+      "/health/live",
+      "/health/ready",
+      "/metrics",
+      "/.well-known/jwks.json",
+    ]) {
+      const res = await request(app).get(path);
+      expect([path, specProblems(res)]).toEqual([path, []]);
+    }
+  });
+});
@@ -0,0 +1,147 @@
+const {
+  app,
+  request,
+  PASSWORD,
+  useTestDatabase,
+  createUser,
+  signIn,
+  lastEmailTo,
+  tokenFromEmail,
+  specProblems,
+} = require("./helpers");
+
+// The responses of tests/openapi.test.js that need a database: every step of the usual flows is
+// checked against the OpenAPI document, so a changed response fails here until docs/ is updated.
+
+useTestDatabase();
+
+describe("responses match the OpenAPI document", () => {
+  it("signup, email verification, signin, refresh and profile", async () => {
+    const steps = [];
+    const check = (res) => {
+      steps.push([
+        `${res.request.method} ${res.request.url}`,
+        specProblems(res),
+      ]);
+      return res;
+    };
+
+    const signup = check(
+      await request(app).post("/api/auth/signup").send({
+        fullName: "Grace Hopper",
+        email: "grace@example.com",
+        password: PASSWORD,
+      })
+    );
+    expect(signup.status).toBe(201);
+
+    const token = tokenFromEmail(
+      lastEmailTo("grace@example.com"),
+      "/api/auth/verify-email"
+    );
+    const verify = check(
+      await request(app).get(`/api/auth/verify-email/${token}`)
+    );
+    expect(verify.status).toBe(200);
+
+    const signin = check(await signIn("grace@example.com"));
+    expect(signin.status).toBe(200);
+
+    const refresh = check(
+      await request(app)
+        .post("/api/auth/refresh")
+        .send({ refreshToken: signin.body.refreshToken })
+    );
+    expect(refresh.status).toBe(200);
+
+    const auth = `Bearer ${refresh.body.accessToken}`;
+    const profile = check(
+      await request(app).get("/api/auth/profile").set("Authorization", auth)
+    );
+    expect(profile.status).toBe(200);
+
+    const update = check(
+      await request(app)
+        .patch("/api/auth/profile")
+        .set("Authorization", auth)
+        .send({ phone: "+44 20 7946 0958", preferences: { theme: "dark" } })
+    );
+    expect(update.status).toBe(200);
+
+    check(
+      await request(app).get("/api/auth/sessions").set("Authorization", auth)
+    );
+    check(
+      await request(app).get("/api/auth/activity").set("Authorization", auth)
+    );
+    check(
+      await request(app).post("/api/auth/2fa/enroll").set("Authorization", auth)
+    );
+
+    for (const [step, problems] of steps) {
+      expect([step, problems]).toEqual([step, []]);
+    }
+  });
+
+  it("errors thrown by the handlers", async () => {
+    await createUser();
+
+    const taken = await request(app).post("/api/auth/signup").send({
+      fullName: "Ada Lovelace",
+      email: "ada@example.com",
+      password: PASSWORD,
+    });
+    expect(taken.body.code).toBe("EMAIL_TAKEN");
+    expect(specProblems(taken)).toEqual([]);
+
+    const wrongPassword = await signIn("ada@example.com", "Wrong1234");
+    expect(wrongPassword.body.code).toBe("INVALID_CREDENTIALS");
+    expect(specProblems(wrongPassword)).toEqual([]);
+
+    const signin = await signIn();
+    const missing = await request(app)
+      .delete("/api/auth/sessions/507f1f77bcf86cd799439011")
+      .set("Authorization", `Bearer ${signin.body.accessToken}`);
+    expect(missing.status).toBe(404);
+    expect(specProblems(missing)).toEqual([]);
+  });
+
+  it("admin routes", async () => {
+    const user = await createUser();
+    await createUser({ email: "admin@example.com", role: "admin" });
+    const auth = `Bearer ${
+      (await signIn("admin@example.com")).body.accessToken
+    }`;
+
+    const responses = [
+      await request(app).get("/api/admin/users").set("Authorization", auth),
+      await request(app)
+        .get(`/api/admin/users/${user._id}`)
+        .set("Authorization", auth),
+      await request(app)
+        .patch(`/api/admin/users/${user._id}/status`)
+        .set("Authorization", auth)
+        .send({ disabled: true, reason: "Spam" }),
+      await request(app)
+        .get("/api/admin/audit-events")
+        .set("Authorization", auth),
+      await request(app)
+        .get("/api/admin/audit-events/export?format=json")
+        .set("Authorization", auth),
+      await request(app)
+        .get("/api/admin/audit-events/export")
+        .set("Authorization", auth),
+    ];
+
+    for (const res of responses) {
+      expect(res.status).toBe(200);
+      expect(specProblems(res)).toEqual([]);
+    }
+
+    const invalidId = await request(app)
+      .get("/api/admin/users/not-an-id")
+      .set("Authorization", auth);
+    expect(invalidId.status).toBe(400);
+    expect(specProblems(invalidId)).toEqual([]);
+  });
+});
@@ -0,0 +1,158 @@
+const express = require("express");
+const { app, request } = require("./helpers");
+const rateLimit = require("../middleware/rateLimiter");
+const { MemoryStore } = require("../utils/rateLimitStore");
+const { sanitizeBody } = require("../middleware/sanitize");
+const { errorHandler } = require("../middleware/errorHandler");
+
+// None of these reach the database, so no useTestDatabase() here.
+
+describe("security headers", () => {
+  it("are set on every response", async () => {
+    const res = await request(app).get("/");
+
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+    expect(res.headers["x-frame-options"]).toBe("DENY");
+    expect(res.headers["content-security-policy"]).toContain(
+      "default-src 'none'"
+    );
+    expect(res.headers["strict-transport-security"]).toBeDefined();
+    expect(res.headers["cache-control"]).toBe("no-store");
+    expect(res.headers["x-powered-by"]).toBeUndefined();
+  });
+
+  it("are set on error responses too", async () => {
+    const res = await request(app).get("/api/nope");
+
+    expect(res.status).toBe(404);
+    expect(res.headers["x-content-type-options"]).toBe("nosniff");
+  });
+});
+
+describe("body size limit", () => {
+  it("refuses bodies over the limit with 413 PAYLOAD_TOO_LARGE", async () => {
+    const res = await request(app)
+      .post("/api/auth/signin")
+      .send({ email: "ada@example.com", password: "x".repeat(20 * 1024) });
+
+    expect(res.status).toBe(413);
+    expect(res.body.code).toBe("PAYLOAD_TOO_LARGE");
+  });
+});
+
+describe("input sanitization", () => {
+  const echo = express()
+    .use(express.json())
+    .use(express.urlencoded({ extended: true }))
+    .use(sanitizeBody)
+    .post("/", (req, res) => res.json(req.body));
+
+  it("strips Mongo operators from JSON bodies at every depth", async () => {
+    const res = await request(echo)
+      .post("/")
+      .send({
+        email: { $gt: "" },
+        "profile.role": "admin",
+        list: [{ $where: "sleep(1000)" }, { ok: 1 }],
+        password: "$till-allowed-as-a-value",
+      });
+
+    expect(res.body).toEqual({
+      email: {},
+      list: [{}, { ok: 1 }],
+      password: "$till-allowed-as-a-value",
+    });
+  });
+
+  it("strips them from form bodies", async () => {
+    const res = await request(echo)
+      .post("/")
+      .type("form")
+      .send("email[$ne]=x&name=Ada");
+
+    expect(res.body).toEqual({ email: {}, name: "Ada" });
+  });
+
+  it("strips them from the query string", () => {
+    const parse = app.get("query parser fn");
+
+    expect({ ...parse("$where=1&a.b=2&search=ada") }).toEqual({
+      search: "ada",
+    });
+  });
+
+  it("so an operator can't get past validation as an email", async () => {
+    const res = await request(app)
+      .post("/api/auth/forgot-password")
+      .send({ email: { $gt: "" } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_FAILED");
+  });
+});
+
+describe("rateLimit", () => {
+  const limitedApp = (options) =>
+    express()
+      .get(
+        "/",
+        rateLimit({ windowMs: 60 * 1000, max: 2, ...options }),
+        (req, res) => res.status(req.query.fail ? 400 : 200).end()
+      )
+      .use(errorHandler);
+
+  it("answers 429 RATE_LIMITED with Retry-After once the limit is reached", async () => {
+    const limited = limitedApp({ message: "Slow down" });
+
+    expect((await request(limited).get("/")).status).toBe(200);
+    expect((await request(limited).get("/")).status).toBe(200);
+    const res = await request(limited).get("/");
+
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({
+      code: "RATE_LIMITED",
+      message: "Slow down",
+    });
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+    expect(res.body.details.retryAfter).toBe(
+      Number(res.headers["retry-after"])
+    );
+  });
+
+  it("only counts failures with skipSuccessfulRequests", async () => {
+    const limited = limitedApp({ skipSuccessfulRequests: true });
+
+    for (let i = 0; i < 5; i++) {
+      expect((await request(limited).get("/")).status).toBe(200);
+    }
+    await request(limited).get("/?fail=1");
+    await request(limited).get("/?fail=1");
+
+    expect((await request(limited).get("/")).status).toBe(429);
+  });
+
+  it("keeps its counters in the store it is given", async () => {
+    const store = new MemoryStore();
+    const calls = [];
+    const spyStore = {
+      increment: (...args) => {
+        calls.push(args);
+        return store.increment(...args);
+      },
+      decrement: (key) => store.decrement(key),
+      reset: (key) => store.reset(key),
+    };
+    const limited = limitedApp({ store: spyStore, keyGenerator: () => "k" });
+
+    await request(limited).get("/");
+    await request(limited).get("/");
+    await store.reset("k"); // e.g. another instance sharing the store cleared it
+
+    expect((await request(limited).get("/")).status).toBe(200);
+    expect(calls).toEqual([
+      ["k", 60 * 1000],
+      ["k", 60 * 1000],
+      ["k", 60 * 1000],
+    ]);
+  });
+});
@@ -0,0 +1,335 @@
+const User = require("../models/user");
+const { generateSecret, base32Decode, totp } = require("../utils/totp");
+const {
+  generateRecoveryCodes,
+  hashRecoveryCode,
+} = require("../utils/twoFactor");
+const {
+  app,
+  request,
+  PASSWORD,
+  useTestDatabase,
+  createUser,
+  signIn,
+  sentEmails,
+  lastEmailTo,
+  tokenFromEmail,
+} = require("./helpers");
+
+useTestDatabase();
+
+// User with 2FA already switched on, plus the secret and recovery codes to answer the challenge.
+const createTwoFactorUser = async () => {
+  const secret = generateSecret();
+  const recoveryCodes = generateRecoveryCodes();
+  await createUser({
+    twoFactor: {
+      enabled: true,
+      secret,
+      recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+    },
+  });
+  return { secret, recoveryCodes };
+};
+
+const currentCode = (secret) => totp(base32Decode(secret));
+
+describe("POST /api/auth/signin/2fa", () => {
+  it("swaps the password step for a challenge token", async () => {
+    await createTwoFactorUser();
+
+    const res = await signIn();
+
+    expect(res.status).toBe(200);
+    expect(res.body.twoFactorRequired).toBe(true);
+    expect(res.body.challengeToken).toBeTruthy();
+    expect(res.body.accessToken).toBeUndefined();
+  });
+
+  it("exchanges the challenge and a valid code for tokens, once per code", async () => {
+    const { secret } = await createTwoFactorUser();
+    const { challengeToken } = (await signIn()).body;
+    const code = currentCode(secret);
+
+    const res = await request(app)
+      .post("/api/auth/signin/2fa")
+      .send({ challengeToken, code });
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+
+    const replay = await request(app)
+      .post("/api/auth/signin/2fa")
+      .send({ challengeToken, code });
+    expect(replay.status).toBe(400);
+    expect(replay.body.code).toBe("INVALID_2FA_CODE");
+  });
+
+  it("accepts each recovery code once", async () => {
+    const { recoveryCodes } = await createTwoFactorUser();
+    const { challengeToken } = (await signIn()).body;
+
+    const first = await request(app)
+      .post("/api/auth/signin/2fa")
+      .send({ challengeToken, code: recoveryCodes[0] });
+    const second = await request(app)
+      .post("/api/auth/signin/2fa")
+      .send({ challengeToken, code: recoveryCodes[0] });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(400);
+  });
+
+  it("does not accept the challenge token as an access token", async () => {
+    await createTwoFactorUser();
+    const { challengeToken } = (await signIn()).body;
+
+    const res = await request(app)
+      .get("/api/auth/profile")
+      .set("Authorization", `Bearer ${challengeToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it("rejects an invalid challenge token", async () => {
+    const res = await request(app)
+      .post("/api/auth/signin/2fa")
+      .send({ challengeToken: "nope", code: "123456" });
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("INVALID_CHALLENGE");
+  });
+});
+
+describe("POST /api/auth/2fa/enroll + /confirm + /disable", () => {
+  // Plain user, signed in before 2FA is switched on
+  const signedInUser = async () => {
+    await createUser();
+    const { accessToken } = (await signIn()).body;
+    return (req) => req.set("Authorization", `Bearer ${accessToken}`);
+  };
+
+  it("switches 2FA on with the first code from the app", async () => {
+    const auth = await signedInUser();
+
+    const enroll = await auth(request(app).post("/api/auth/2fa/enroll"));
+    expect(enroll.status).toBe(200);
+    expect(enroll.body.otpauthUri).toContain(`secret=${enroll.body.secret}`);
+    expect(enroll.body.recoveryCodes).toHaveLength(10);
+
+    const confirm = await auth(request(app).post("/api/auth/2fa/confirm")).send(
+      { code: currentCode(enroll.body.secret) }
+    );
+    expect(confirm.status).toBe(200);
+
+    const user = await User.findOne({ email: "ada@example.com" });
+    expect(user.twoFactor.enabled).toBe(true);
+    expect(user.twoFactor.pendingSecret).toBeUndefined();
+    expect((await signIn()).body.twoFactorRequired).toBe(true);
+
+    const again = await auth(request(app).post("/api/auth/2fa/enroll"));
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe("TWO_FACTOR_ALREADY_ENABLED");
+  });
+
+  it("gives recovery codes that work at sign in, stored hashed", async () => {
+    const auth = await signedInUser();
+    const { secret, recoveryCodes } = (
+      await auth(request(app).post("/api/auth/2fa/enroll"))
+    ).body;
+    await auth(request(app).post("/api/auth/2fa/confirm")).send({
+      code: currentCode(secret),
+    });
+
+    const user = await User.findOne({ email: "ada@example.com" });
+    expect(user.twoFactor.recoveryCodes).not.toContain(recoveryCodes[0]);
+
+    const { challengeToken } = (await signIn()).body;
+    const res = await request(app)
+      .post("/api/auth/signin/2fa")
+      .send({ challengeToken, code: recoveryCodes[0] });
+    expect(res.status).toBe(200);
+  });
+
+  it("confirms only with an authenticator code, after enrolling", async () => {
+    const auth = await signedInUser();
+
+    const early = await auth(request(app).post("/api/auth/2fa/confirm")).send({
+      code: "123456",
+    });
+    expect(early.status).toBe(400);
+    expect(early.body.code).toBe("TWO_FACTOR_NOT_ENROLLED");
+
+    const { secret, recoveryCodes } = (
+      await auth(request(app).post("/api/auth/2fa/enroll"))
+    ).body;
+    const code = currentCode(secret);
+    for (const wrong of [
+      code === "000000" ? "111111" : "000000",
+      recoveryCodes[0],
+    ]) {
+      const res = await auth(request(app).post("/api/auth/2fa/confirm")).send({
+        code: wrong,
+      });
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe("INVALID_2FA_CODE");
+    }
+    expect(
+      (await User.findOne({ email: "ada@example.com" })).twoFactor.enabled
+    ).toBe(false);
+  });
+
+  it("switches 2FA off with the password and a code", async () => {
+    const auth = await signedInUser();
+    const secret = generateSecret();
+    await User.updateOne(
+      { email: "ada@example.com" },
+      { twoFactor: { enabled: true, secret, recoveryCodes: [] } }
+    );
+
+    const wrongPassword = await auth(
+      request(app).post("/api/auth/2fa/disable")
+    ).send({ password: "Wrong1234", code: currentCode(secret) });
+    expect(wrongPassword.status).toBe(400);
+    expect(wrongPassword.body.code).toBe("INCORRECT_PASSWORD");
+
+    const noCode = await auth(request(app).post("/api/auth/2fa/disable")).send({
+      password: PASSWORD,
+    });
+    expect(noCode.status).toBe(400);
+    expect(noCode.body.code).toBe("VALIDATION_FAILED");
+
+    const res = await auth(request(app).post("/api/auth/2fa/disable")).send({
+      password: PASSWORD,
+      code: currentCode(secret),
+    });
+    expect(res.status).toBe(200);
+    expect((await signIn()).body.accessToken).toBeTruthy();
+
+    const again = await auth(request(app).post("/api/auth/2fa/disable")).send({
+      password: PASSWORD,
+      code: currentCode(secret),
+    });
+    expect(again.status).toBe(400);
+    expect(again.body.code).toBe("TWO_FACTOR_NOT_ENABLED");
+  });
+
+  it("switches 2FA off with a recovery code", async () => {
+    const auth = await signedInUser();
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+      { email: "ada@example.com" },
+      {
+        twoFactor: {
+          enabled: true,
+          secret: generateSecret(),
+          recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        },
+      }
+    );
+
+    const res = await auth(request(app).post("/api/auth/2fa/disable")).send({
+      password: PASSWORD,
+      code: recoveryCodes[3],
+    });
+
+    expect(res.status).toBe(200);
+    const user = await User.findOne({ email: "ada@example.com" });
+    expect(user.twoFactor.enabled).toBe(false);
+    expect(user.twoFactor.secret).toBeUndefined();
+  });
+});
+
+describe("POST /api/auth/magic-link + /magic-link/verify", () => {
+  const codeFromEmail = (email) =>
+    email.text.match(/code on the sign-in page: (\d{6})/)[1];
+
+  const requestLink = (email = "ada@example.com") =>
+    request(app).post("/api/auth/magic-link").send({ email });
+
+  it("signs in with the emailed link, once", async () => {
+    await createUser({ verified: false });
+
+    expect((await requestLink()).status).toBe(200);
+    const token = tokenFromEmail(lastEmailTo("ada@example.com"), "/magic-link");
+
+    const res = await request(app)
+      .post("/api/auth/magic-link/verify")
+      .send({ token });
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+
+    // Proving ownership of the inbox verifies the account
+    expect((await User.findOne({ email: "ada@example.com" })).verified).toBe(
+      true
+    );
+
+    const again = await request(app)
+      .post("/api/auth/magic-link/verify")
+      .send({ token });
+    expect(again.status).toBe(400);
+  });
+
+  it("signs in with the 6-digit code", async () => {
+    await createUser();
+    await requestLink();
+    const code = codeFromEmail(lastEmailTo("ada@example.com"));
+
+    const res = await request(app)
+      .post("/api/auth/magic-link/verify")
+      .send({ email: "ada@example.com", code });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toBeTruthy();
+  });
+
+  it("stops accepting codes after too many wrong guesses", async () => {
+    await createUser();
+    await requestLink();
+    const code = codeFromEmail(lastEmailTo("ada@example.com"));
+    const wrong = code === "000000" ? "111111" : "000000";
+
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+        .post("/api/auth/magic-link/verify")
+        .send({ email: "ada@example.com", code: wrong });
+    }
+
+    const res = await request(app)
+      .post("/api/auth/magic-link/verify")
+      .send({ email: "ada@example.com", code });
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("TOO_MANY_ATTEMPTS");
+  });
+
+  it("stores the code hashed", async () => {
+    await createUser();
+    await requestLink();
+    const code = codeFromEmail(lastEmailTo("ada@example.com"));
+
+    const user = await User.findOne({ email: "ada@example.com" });
+    expect(user.magicCodeHash).not.toContain(code);
+  });
+
+  it("gives the same answer for unknown emails without sending anything", async () => {
+    const res = await requestLink("nobody@example.com");
+
+    expect(res.status).toBe(200);
+    expect(sentEmails).toHaveLength(0);
+  });
+
+  it("rejects an email or code that isn't a string", async () => {
+    const link = await requestLink(["ada@example.com"]);
+    expect(link.status).toBe(400);
+    expect(link.body.code).toBe("VALIDATION_FAILED");
+
+    const verify = await request(app)
+      .post("/api/auth/magic-link/verify")
+      .send({ email: ["ada@example.com"], code: ["123456"] });
+    expect(verify.status).toBe(400);
+    expect(verify.body.code).toBe("VALIDATION_FAILED");
+    expect(verify.body.details.map((detail) => detail.field)).toEqual([
+      "email",
+      "code",
+    ]);
+  });
+});
@@ -0,0 +1,101 @@
+const {
+  base32Encode,
+  base32Decode,
+  hotp,
+  totp,
+  verifyTotp,
+  otpauthURI,
+} = require("../utils/totp");
+
+// Pure functions, no database and no app needed.
+
+// RFC 6238 appendix B: the seed is "1234567890" repeated to the HMAC key size of each algorithm
+const seed = (bytes) => Buffer.from("1234567890".repeat(7).slice(0, bytes));
+const SEEDS = { sha1: seed(20), sha256: seed(32), sha512: seed(64) };
+
+describe("totp (RFC 6238 test vectors)", () => {
+  const vectors = [
+    [59, { sha1: "94287082", sha256: "46119246", sha512: "90693936" }],
+    [1111111109, { sha1: "07081804", sha256: "68084774", sha512: "25091201" }],
+    [1111111111, { sha1: "14050471", sha256: "67062674", sha512: "99943326" }],
+    [1234567890, { sha1: "89005924", sha256: "91819424", sha512: "93441116" }],
+    [2000000000, { sha1: "69279037", sha256: "90698825", sha512: "38618901" }],
+    [20000000000, { sha1: "65353130", sha256: "77737706", sha512: "47863826" }],
+  ];
+
+  it.each(vectors)("T=%i", (seconds, expected) => {
+    for (const algorithm of Object.keys(expected)) {
+      const code = totp(SEEDS[algorithm], {
+        time: seconds * 1000,
+        digits: 8,
+        algorithm,
+      });
+      expect([algorithm, code]).toEqual([algorithm, expected[algorithm]]);
+    }
+  });
+});
+
+describe("hotp (RFC 4226 test vectors)", () => {
+  it("gives the codes of appendix D", () => {
+    const codes = Array.from({ length: 10 }, (_, counter) =>
+      hotp(SEEDS.sha1, counter)
+    );
+
+    expect(codes).toEqual([
+      "755224",
+      "287082",
+      "359152",
+      "969429",
+      "338314",
+      "254676",
+      "287922",
+      "162583",
+      "399871",
+      "520489",
+    ]);
+  });
+});
+
+describe("verifyTotp", () => {
+  const time = 1234567890 * 1000;
+  const code = totp(SEEDS.sha1, { time });
+
+  it("returns the time step of a valid code", () => {
+    expect(verifyTotp(SEEDS.sha1, code, { time })).toBe(41152263);
+    expect(
+      verifyTotp(SEEDS.sha1, code.replace(/^(\d{3})/, "$1 "), { time })
+    ).toBe(41152263);
+  });
+
+  it("allows one step of clock drift either side, not more", () => {
+    expect(verifyTotp(SEEDS.sha1, code, { time: time + 30000 })).toBe(41152263);
+    expect(verifyTotp(SEEDS.sha1, code, { time: time - 30000 })).toBe(41152263);
+    expect(verifyTotp(SEEDS.sha1, code, { time: time + 60000 })).toBeNull();
+  });
+
+  it("rejects codes of the wrong shape", () => {
+    for (const given of ["", null, "12345", "1234567", "abcdef"]) {
+      expect(verifyTotp(SEEDS.sha1, given, { time })).toBeNull();
+    }
+  });
+});
+
+describe("base32 and otpauth URIs", () => {
+  it("encodes and decodes the RFC 4648 examples", () => {
+    expect(base32Encode(Buffer.from("foobar"))).toBe("MZXW6YTBOI");
+    expect(base32Decode("mzxw6ytboi======").toString()).toBe("foobar");
+    expect(() => base32Decode("MZXW1")).toThrow("Invalid base32 character");
+  });
+
+  it("builds the link authenticator apps scan", () => {
+    expect(
+      otpauthURI({
+        secret: "JBSWY3DPEHPK3PXP",
+        label: "ada@example.com",
+        issuer: "Leadway",
+      })
+    ).toBe(
+      "otpauth://totp/Leadway%3Aada%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=Leadway&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});
@@ -0,0 +1,47 @@
+// Writes the audit log (models/auditEvent.js). Most events are recorded by the audit() middleware
+// (middleware/audit.js); call recordEvent() directly for events that aren't one request = one event.
+
+const mongoose = require("mongoose");
+const AuditEvent = require("../models/auditEvent");
+const { logger } = require("./logger");
+const { recordAuthMetrics } = require("./metrics");
+
+const pending = new Set(); // writes still in flight, see flushAuditEvents()
+
+// Never throws and never slows the response down: a broken audit log must not break signin.
+const recordEvent = (
+  req,
+  { type, outcome = "success", reason, user, actor, email, metadata }
+) => {
+  recordAuthMetrics({ type, outcome, reason, metadata }); // counted even if the write below fails
+
+  if (mongoose.connection.readyState !== 1) {
+    (req.log || logger).error("Audit log error: database not connected", {
+      type,
+    });
+    return Promise.resolve();
+  }
+
+  const write = AuditEvent.create({
+    type,
+    outcome,
+    reason,
+    user,
+    actor,
+    email: typeof email === "string" ? email.slice(0, 320) : undefined,
+    ip: req.ip,
+    userAgent: (req.get("user-agent") || "").slice(0, 500),
+    requestId: req.id,
+    metadata,
+  })
+    .catch((err) => (req.log || logger).error("Audit log error", { err, type }))
+    .finally(() => pending.delete(write));
+
+  pending.add(write);
+  return write;
+};
+
+// Resolves once every event recorded so far is saved. For tests and graceful shutdown.
+const flushAuditEvents = () => Promise.all([...pending]);
+
+module.exports = { recordEvent, flushAuditEvents };
@@ -0,0 +1,31 @@
+// Builds CSV files for exports (e.g. the audit log, routes/admin.js).
+
+// Values starting with one of these are run as formulas by Excel / Google Sheets when the file is opened.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Quotes a value when it needs it, and defuses values that a spreadsheet would treat as a formula.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+      ? JSON.stringify(value)
+      : String(value);
+
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+};
+
+// columns: [{ header: "Type", value: (row) => row.type }, ...]
+const toCsv = (rows, columns) =>
+  [
+    columns.map((column) => csvCell(column.header)).join(","),
+    ...rows.map((row) =>
+      columns.map((column) => csvCell(column.value(row))).join(",")
+    ),
+  ].join("\r\n") + "\r\n";
+
+module.exports = { toCsv, csvCell };
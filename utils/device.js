@@ -0,0 +1,27 @@
+// Short human readable label for a User-Agent header, e.g. "Chrome on Windows".
+// Used for the session list and the security activity list.
+const describeDevice = (userAgent) => {
+  const ua = userAgent || "";
+
+  const browser =
+    [
+      ["Edge", /Edg\//],
+      ["Opera", /OPR\//],
+      ["Chrome", /Chrome\//],
+      ["Firefox", /Firefox\//],
+      ["Safari", /Safari\//],
+    ].find(([, pattern]) => pattern.test(ua))?.[0] || "Unknown browser";
+
+  const os =
+    [
+      ["Android", /Android/],
+      ["iOS", /iPhone|iPad|iPod/],
+      ["Windows", /Windows/],
+      ["macOS", /Mac OS X/],
+      ["Linux", /Linux/],
+    ].find(([, pattern]) => pattern.test(ua))?.[0] || "Unknown device";
+
+  return `${browser} on ${os}`;
+};
+
+module.exports = { describeDevice };
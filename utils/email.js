@@ -0,0 +1,100 @@
+// Email service: renders a named template from templates/emails and sends it through the transport
+// chosen in config/email.js. Routes only say WHICH email to send and with what data.
+
+const fs = require("fs");
+const path = require("path");
+const {
+  transporter,
+  transportName,
+  sentEmails,
+  clearSentEmails,
+} = require("../config/email");
+const { logger } = require("./logger");
+const config = require("../config");
+
+const TEMPLATES_DIR = path.join(__dirname, "..", "templates", "emails");
+
+// Subject of each template. Every template has a <name>.html and a <name>.txt file.
+const TEMPLATES = {
+  "verify-email": { subject: "Verify Your Email" },
+  "reset-password": { subject: "Reset Your Password" },
+  "suspicious-signin": {
+    subject: "Suspicious sign-in attempts on your account",
+  },
+  "confirm-email-change": { subject: "Confirm Your New Email" },
+  "magic-link": { subject: "Your Leadway sign-in link" },
+};
+
+// Makes user supplied text (names, emails, ...) safe to put inside HTML.
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const templateCache = new Map();
+
+const loadTemplate = (file) => {
+  if (!templateCache.has(file)) {
+    templateCache.set(
+      file,
+      fs.readFileSync(path.join(TEMPLATES_DIR, file), "utf8")
+    );
+  }
+  return templateCache.get(file);
+};
+
+// Replaces {{name}} with data.name. In HTML the value is escaped; in plain text it is used as is.
+// A placeholder without data is a bug in the caller, so it throws instead of sending "undefined".
+const fill = (source, data, escape) =>
+  source.replace(/{{\s*(\w+)\s*}}/g, (match, key) => {
+    if (data[key] === undefined || data[key] === null) {
+      throw new Error(`Missing email template value "${key}"`);
+    }
+    return escape ? escapeHtml(data[key]) : String(data[key]);
+  });
+
+const renderTemplate = (name, data = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template "${name}"`);
+  }
+
+  return {
+    subject: template.subject,
+    html: fill(loadTemplate(`${name}.html`), data, true),
+    text: fill(loadTemplate(`${name}.txt`), data, false),
+  };
+};
+
+// sendEmail("verify-email", user.email, { fullName, verificationUrl })
+const sendEmail = async (name, to, data) => {
+  const { subject, html, text } = renderTemplate(name, data);
+
+  const info = await transporter.sendMail({
+    from: config.email.from,
+    to,
+    subject,
+    html,
+    text,
+  });
+
+  if (transportName === "json") {
+    // The json transport only hands the email back, so show it (local development only)
+    logger.info("Email not sent (json transport)", {
+      email: JSON.parse(info.message),
+    });
+  }
+
+  return info;
+};
+
+module.exports = {
+  sendEmail,
+  renderTemplate,
+  escapeHtml,
+  sentEmails, // filled by the memory transport (tests)
+  clearSentEmails,
+};
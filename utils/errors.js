@@ -0,0 +1,105 @@
+// Errors that routes and middleware throw (or pass to next()) instead of answering themselves.
+// middleware/errorHandler.js turns every one of them into the same JSON response:
+//   { code: "ACCOUNT_LOCKED", message: "Account temporarily locked ...", details: { retryAfter: 900 } }
+// `code` is stable and meant for the frontend to branch on; `message` is for humans and may change.
+// `details` is only there for some codes: the list of invalid fields for VALIDATION_FAILED,
+// { retryAfter } (seconds) for RATE_LIMITED and ACCOUNT_LOCKED.
+
+class ApiError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// 400 with the express-validator errors, see middleware/validate.js.
+class ValidationError extends ApiError {
+  constructor(details, message = "Some fields are missing or invalid") {
+    super(message, { status: 400, code: "VALIDATION_FAILED", details });
+  }
+}
+
+// 400 for requests that are well formed but can't be done (wrong password, email taken, ...).
+class BadRequestError extends ApiError {
+  constructor(message, code = "BAD_REQUEST") {
+    super(message, { status: 400, code });
+  }
+}
+
+// 401: no (valid) credentials.
+class AuthError extends ApiError {
+  constructor(message = "Authentication required", code = "UNAUTHENTICATED") {
+    super(message, { status: 401, code });
+  }
+}
+
+// 403: we know who you are (or the token is bad), the answer is still no.
+class ForbiddenError extends ApiError {
+  constructor(
+    message = "You do not have permission to do this",
+    code = "FORBIDDEN"
+  ) {
+    super(message, { status: 403, code });
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = "Not found", code = "NOT_FOUND") {
+    super(message, { status: 404, code });
+  }
+}
+
+// 423 while an account is locked after too many failed sign-ins.
+class AccountLockedError extends ApiError {
+  constructor(lockUntil) {
+    const retryAfter = Math.ceil((lockUntil.getTime() - Date.now()) / 1000);
+    super(
+      "Account temporarily locked because of too many failed sign-in attempts",
+      { status: 423, code: "ACCOUNT_LOCKED", details: { retryAfter } }
+    );
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 429 from the rate limiters. `retryAfter` is in seconds.
+class RateLimitedError extends ApiError {
+  constructor(
+    message = "Too many requests, please try again later",
+    retryAfter
+  ) {
+    super(message, {
+      status: 429,
+      code: "RATE_LIMITED",
+      details: { retryAfter },
+    });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// 502 when a service we depend on (e.g. the Google sign-in endpoints) fails.
+class UpstreamError extends ApiError {
+  constructor(
+    message = "A service we depend on is unavailable",
+    code = "UPSTREAM_ERROR"
+  ) {
+    super(message, { status: 502, code });
+  }
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  BadRequestError,
+  AuthError,
+  ForbiddenError,
+  NotFoundError,
+  AccountLockedError,
+  RateLimitedError,
+  UpstreamError,
+};
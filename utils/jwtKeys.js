@@ -0,0 +1,117 @@
+// Signs and verifies every token we issue (access, refresh, email verification, 2FA challenge) with
+// asymmetric keys, so other services can check our access tokens with the public keys from
+// GET /.well-known/jwks.json instead of holding a shared secret.
+//
+// Each token names its key in the `kid` header, so several keys can be valid at once. To rotate:
+//   1. add the new private key to JWT_KEYS and point JWT_SIGNING_KID at it; keep the old key (its
+//      public part is enough) so the tokens it signed keep working
+//   2. once the longest-lived of those has expired (REFRESH_TOKEN_EXPIRES_IN), remove the old key
+//
+// Tokens carry `iss` (JWT_ISSUER) and `aud`. Access tokens are for JWT_AUDIENCE; tokens only this API
+// reads (refresh, verify_email, ...) have our own issuer as audience, so no other service accepts them.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const config = require("../config");
+const { logger } = require("./logger");
+
+class KeyManager {
+  // keys: JWKs as in JWT_KEYS. signingKid: which private key signs (default: the first one).
+  constructor({ keys, signingKid, issuer, audience }) {
+    this.issuer = issuer;
+    this.audience = audience;
+    this.keys = new Map(
+      keys.map((jwk) => [
+        jwk.kid,
+        {
+          kid: jwk.kid,
+          alg: jwk.alg,
+          publicKey: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+          privateKey: jwk.d
+            ? crypto.createPrivateKey({ key: jwk, format: "jwk" })
+            : null,
+        },
+      ])
+    );
+
+    this.signingKey = signingKid
+      ? this.keys.get(signingKid)
+      : [...this.keys.values()].find((key) => key.privateKey);
+    if (!this.signingKey?.privateKey) {
+      throw new Error("No private key to sign tokens with");
+    }
+  }
+
+  // sign({ id, purpose: "verify_email" }, { expiresIn: "1h" }). Without `audience` the token is for us only.
+  sign(payload, { audience = this.issuer, expiresIn, jwtid } = {}) {
+    return jwt.sign(payload, this.signingKey.privateKey, {
+      algorithm: this.signingKey.alg,
+      keyid: this.signingKey.kid,
+      issuer: this.issuer,
+      audience,
+      ...(expiresIn !== undefined && { expiresIn }),
+      ...(jwtid && { jwtid }),
+    });
+  }
+
+  // Returns the claims, or throws like jwt.verify (TokenExpiredError, JsonWebTokenError).
+  // `purpose` also checks the purpose claim, so e.g. a 2FA challenge can't be used to verify an email.
+  verify(token, { audience = this.issuer, purpose } = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && this.keys.get(decoded.header.kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError("unknown or missing key id");
+    }
+
+    const claims = jwt.verify(token, key.publicKey, {
+      algorithms: [key.alg], // never let the token pick the algorithm
+      issuer: this.issuer,
+      audience,
+    });
+    if (purpose !== undefined && claims.purpose !== purpose) {
+      throw new jwt.JsonWebTokenError(`token is not a ${purpose} token`);
+    }
+    return claims;
+  }
+
+  // Public keys only, for /.well-known/jwks.json
+  jwks() {
+    return {
+      keys: [...this.keys.values()].map(({ kid, alg, publicKey }) => ({
+        ...publicKey.export({ format: "jwk" }),
+        kid,
+        alg,
+        use: "sig",
+      })),
+    };
+  }
+}
+
+// Key pair that only lives as long as the process, for development and tests without JWT_KEYS.
+// Restarting the server signs everybody out.
+const throwawayKey = () => {
+  const { privateKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+  });
+  return {
+    ...privateKey.export({ format: "jwk" }),
+    kid: `dev-${crypto.randomBytes(4).toString("hex")}`,
+    alg: "ES256",
+  };
+};
+
+const keys = config.jwt.keys || [throwawayKey()];
+if (!config.jwt.keys && config.env === "development") {
+  logger.warn(
+    "JWT_KEYS is not set: using a throwaway signing key, tokens won't survive a restart"
+  );
+}
+
+const keyManager = new KeyManager({
+  keys,
+  signingKid: config.jwt.signingKid,
+  issuer: config.jwt.issuer,
+  audience: config.jwt.audience,
+});
+
+module.exports = { keyManager, KeyManager };
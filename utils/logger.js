@@ -0,0 +1,82 @@
+// Structured logs: one JSON object per line on stdout, e.g.
+//   {"time":"2025-01-01T10:00:00.000Z","level":"error","msg":"Unhandled error","requestId":"3f2c...","err":{...}}
+// so the log platform can filter by level and find every line of a request by its requestId.
+//
+//   logger.info("Server is running", { port });
+//   req.log.error("Verify error", { err }); // req.log adds the requestId, see middleware/requestLogger.js
+//
+// LOG_LEVEL sets the lowest level written: debug, info, warn, error, or silent (default per profile, see config/schema.js).
+
+const config = require("../config");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Values under these keys never reach the logs, at any depth.
+const REDACTED_KEYS =
+  /password|^pass$|token|secret|authorization|cookie|codeVerifier/i;
+const REDACTED = "[REDACTED]";
+
+// Errors don't survive JSON.stringify (message and stack aren't enumerable).
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  code: err.code,
+  stack: err.stack,
+});
+
+const redact = (value, seen = new WeakSet()) => {
+  if (value instanceof Error) return redact(serializeError(value), seen);
+  if (!value || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  if (Array.isArray(value)) return value.map((item) => redact(item, seen));
+
+  const clean = {};
+  for (const [key, item] of Object.entries(value)) {
+    clean[key] = REDACTED_KEYS.test(key) ? REDACTED : redact(item, seen);
+  }
+  return clean;
+};
+
+const writeLine = (line) => process.stdout.write(`${line}\n`);
+
+// `fields` are added to every line of this logger (and of its children).
+const createLogger = ({
+  level = config.logLevel,
+  fields = {},
+  write = writeLine,
+} = {}) => {
+  if (!(level in LEVELS)) {
+    throw new Error(`Unknown LOG_LEVEL "${level}"`);
+  }
+
+  const log = (lineLevel) => (msg, extra) => {
+    if (LEVELS[lineLevel] < LEVELS[level]) return;
+    write(
+      JSON.stringify({
+        time: new Date().toISOString(),
+        level: lineLevel,
+        msg,
+        ...redact({ ...fields, ...extra }),
+      })
+    );
+  };
+
+  return {
+    level,
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (extra) =>
+      createLogger({ level, write, fields: { ...fields, ...extra } }),
+  };
+};
+
+// The app-wide logger. Outside a request use this one, inside prefer req.log.
+const logger = createLogger();
+
+module.exports = { logger, createLogger, redact };
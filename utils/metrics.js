@@ -0,0 +1,196 @@
+// In-process metrics, exposed at GET /metrics in the Prometheus text format
+// (https://prometheus.io/docs/instrumenting/exposition_formats/).
+// Counters only go up and reset when the process restarts; Prometheus copes with that.
+//
+//   const signups = new Counter("auth_signups_total", "Accounts created", ["method"]);
+//   signups.inc({ method: "password" });
+
+const metrics = []; // every metric created, in the order they're rendered
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+
+// { method: "GET", status: 200 } → {method="GET",status="200"}
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // one entry per combination of label values
+    metrics.push(this);
+  }
+
+  // Same label order every time, whatever order the caller used.
+  labelsOf(labels = {}) {
+    return Object.fromEntries(
+      this.labelNames.map((name) => [name, labels[name] ?? ""])
+    );
+  }
+
+  seriesFor(labels, create) {
+    const key = JSON.stringify(this.labelsOf(labels));
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: this.labelsOf(labels), ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  inc(labels, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    return [
+      ...this.header("counter"),
+      ...[...this.series.values()].map(
+        ({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`
+      ),
+    ];
+  }
+}
+
+// Values (e.g. seconds) are counted into cumulative buckets: le="0.1" counts everything ≤ 0.1.
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  render() {
+    const lines = this.header("histogram");
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${
+            counts[i]
+          }`
+        );
+      });
+      lines.push(
+        `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`
+      );
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+// Current value read when /metrics is scraped.
+class Gauge extends Metric {
+  constructor(name, help, read) {
+    super(name, help);
+    this.read = read;
+  }
+
+  render() {
+    return [...this.header("gauge"), `${this.name} ${this.read()}`];
+  }
+}
+
+// ==================== HTTP ===============
+// Filled by middleware/metrics.js. `route` is the route pattern, never the raw URL, so ids and
+// tokens in paths don't create a new series each.
+const httpRequests = new Counter(
+  "http_requests_total",
+  "HTTP requests answered",
+  ["method", "route", "status"]
+);
+const httpRequestDuration = new Histogram(
+  "http_request_duration_seconds",
+  "Time to answer HTTP requests, in seconds",
+  ["method", "route", "status"],
+  [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]
+);
+
+// ==================== AUTH ===============
+// Counted from the audit events (utils/audit.js), so they match the audit log.
+const authSignups = new Counter("auth_signups_total", "Accounts created", [
+  "method",
+]);
+const authLogins = new Counter("auth_logins_total", "Successful sign-ins", [
+  "method",
+]);
+const authFailedLogins = new Counter(
+  "auth_failed_logins_total",
+  "Failed sign-in attempts",
+  ["method", "reason"]
+);
+const authTokenRefreshes = new Counter(
+  "auth_token_refreshes_total",
+  "Token refreshes",
+  ["outcome"]
+);
+
+const recordAuthMetrics = ({ type, outcome, reason, metadata = {} }) => {
+  const method = metadata.method || "password";
+
+  if (type === "signup" && outcome === "success") {
+    authSignups.inc({ method });
+  } else if (type === "signin" && outcome === "success") {
+    authLogins.inc({ method });
+  } else if (type === "signin") {
+    authFailedLogins.inc({ method, reason });
+  } else if (type === "token_refresh") {
+    authTokenRefreshes.inc({ outcome });
+  }
+};
+
+// ==================== PROCESS ===============
+new Gauge("process_uptime_seconds", "Seconds since the process started", () =>
+  process.uptime()
+);
+new Gauge(
+  "process_resident_memory_bytes",
+  "Resident memory size in bytes",
+  () => process.memoryUsage().rss
+);
+
+const renderMetrics = () =>
+  `${metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+
+// For tests: start from zero.
+const resetMetrics = () => metrics.forEach((metric) => metric.reset());
+
+module.exports = {
+  Counter,
+  Histogram,
+  httpRequests,
+  httpRequestDuration,
+  recordAuthMetrics,
+  renderMetrics,
+  resetMetrics,
+};
@@ -0,0 +1,153 @@
+// Minimal OpenID Connect client: discovery, authorization URL with PKCE, code exchange and ID token
+// validation. Only uses fetch + crypto, so it works against any provider (or a local mock server)
+// configured in config/oauth.js.
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+const randomString = () => base64url(crypto.randomBytes(32));
+
+// PKCE (RFC 7636): the challenge goes to the provider now, the verifier only when exchanging the code.
+const createPkcePair = () => {
+  const codeVerifier = randomString();
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+  return { codeVerifier, codeChallenge };
+};
+
+// A provider that stops answering must not hold the sign-in request (and its socket) open forever
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, {
+    ...options,
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = data.error_description || data.error || response.status;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return data;
+};
+
+const metadataCache = new Map(); // provider name -> discovery document
+const jwksCache = new Map(); // jwks uri -> { keys }
+
+// Provider endpoints: explicit config wins, the rest comes from the discovery document.
+const getMetadata = async (provider) => {
+  if (
+    provider.authorizationEndpoint &&
+    provider.tokenEndpoint &&
+    provider.jwksUri
+  ) {
+    return {
+      issuer: provider.issuer,
+      authorization_endpoint: provider.authorizationEndpoint,
+      token_endpoint: provider.tokenEndpoint,
+      jwks_uri: provider.jwksUri,
+    };
+  }
+
+  if (!metadataCache.has(provider.name)) {
+    metadataCache.set(provider.name, await fetchJson(provider.discoveryUrl));
+  }
+  const discovered = metadataCache.get(provider.name);
+
+  return {
+    ...discovered,
+    authorization_endpoint:
+      provider.authorizationEndpoint || discovered.authorization_endpoint,
+    token_endpoint: provider.tokenEndpoint || discovered.token_endpoint,
+    jwks_uri: provider.jwksUri || discovered.jwks_uri,
+  };
+};
+
+const buildAuthorizationUrl = async (
+  provider,
+  { state, nonce, codeChallenge }
+) => {
+  const metadata = await getMetadata(provider);
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+  return url.toString();
+};
+
+// Trades the authorization code (+ PKCE verifier) for the provider's tokens.
+const exchangeCode = async (provider, { code, codeVerifier }) => {
+  const metadata = await getMetadata(provider);
+  return fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: provider.redirectUri,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret || "",
+      code_verifier: codeVerifier,
+    }),
+  });
+};
+
+// Finds the signing key by `kid`. Keys are cached; an unknown kid triggers one refetch (key rotation).
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = () =>
+    (jwksCache.get(jwksUri)?.keys || []).find((key) => key.kid === kid);
+
+  if (!findKey()) {
+    jwksCache.set(jwksUri, await fetchJson(jwksUri));
+  }
+
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key found for kid "${kid}"`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+// Checks signature, issuer, audience, expiry and nonce of the ID token and returns its claims.
+const verifyIdToken = async (provider, idToken, { nonce }) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new Error("ID token is not a valid JWT");
+  }
+
+  const metadata = await getMetadata(provider);
+  const key = await getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+  const claims = jwt.verify(idToken, key, {
+    algorithms: ["RS256", "ES256"],
+    issuer: provider.allowedIssuers,
+    audience: provider.clientId,
+  });
+
+  if (!claims.nonce || claims.nonce !== nonce) {
+    throw new Error("ID token nonce does not match");
+  }
+
+  return claims;
+};
+
+module.exports = {
+  randomString,
+  createPkcePair,
+  buildAuthorizationUrl,
+  exchangeCode,
+  verifyIdToken,
+};
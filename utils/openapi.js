@@ -0,0 +1,397 @@
+// Builds the OpenAPI 3 document served at /api/docs/openapi.json from the routers themselves, so the
+// docs can't fall behind the code:
+//   - paths, methods and path parameters: the routes of every router in routes/index.js
+//   - query, path and body parameters: the express-validator rules in front of the handler
+//   - bearer auth and its 401/403, roles and permissions, 400 VALIDATION_FAILED, 429 RATE_LIMITED: the middleware used
+// What can't be read from the code (summaries, success responses, the error codes a handler throws)
+// comes from docs/operations.js, the shared schemas from docs/schemas.js.
+
+const { STATUS_CODES } = require("http");
+const config = require("../config");
+const authenticate = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { operations, tags } = require("../docs/operations");
+const { schemas, ref } = require("../docs/schemas");
+const { version } = require("../package.json");
+
+// ==================== ROUTES ===============
+// "/api/auth" + "/verify-email/:token" → "/api/auth/verify-email/{token}", "/api/docs" + "/" → "/api/docs"
+const toOpenApiPath = (mountPath, routePath) => {
+  const path =
+    mountPath === "/"
+      ? routePath
+      : `${mountPath}${routePath === "/" ? "" : routePath}`;
+  return path.replace(/:(\w+)/g, "{$1}");
+};
+
+// Every method + path of the routers, with all the middleware that runs for it: the router's own
+// router.use() ones (e.g. authenticate for /api/admin) first, then the route's.
+const listRoutes = (mounts) =>
+  mounts.flatMap(({ path: mountPath, router }) => {
+    const routerMiddleware = [];
+    const routes = [];
+
+    for (const layer of router.stack) {
+      if (!layer.route) {
+        routerMiddleware.push(layer.handle);
+        continue;
+      }
+      const handlers = [
+        ...routerMiddleware,
+        ...layer.route.stack.map((routeLayer) => routeLayer.handle),
+      ];
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === "_all") continue;
+        routes.push({
+          method: method.toUpperCase(),
+          path: toOpenApiPath(mountPath, layer.route.path),
+          handlers,
+        });
+      }
+    }
+    return routes;
+  });
+
+// ==================== VALIDATION RULES ===============
+// express-validator validators → JSON schema. Validators missing here (custom ones) only contribute
+// their error message.
+const VALIDATOR_SCHEMAS = {
+  isEmail: () => ({ type: "string", format: "email" }),
+  isString: () => ({ type: "string" }),
+  isLength: ({ min, max } = {}) => ({
+    type: "string",
+    ...(min !== undefined && { minLength: min }),
+    ...(max !== undefined && { maxLength: max }),
+  }),
+  matches: (pattern) => ({ type: "string", pattern }),
+  isInt: ({ min, max } = {}) => ({
+    type: "integer",
+    ...(min !== undefined && { minimum: min }),
+    ...(max !== undefined && { maximum: max }),
+  }),
+  isBoolean: () => ({ type: "boolean" }),
+  isIn: (values) => ({
+    ...(values.every((value) => typeof value === "string") && {
+      type: "string",
+    }),
+    enum: values,
+  }),
+  isObject: () => ({ type: "object" }),
+  isArray: () => ({ type: "array" }),
+  isMongoId: () => ({ type: "string", pattern: "^[0-9a-fA-F]{24}$" }),
+  isURL: () => ({ type: "string", format: "uri" }),
+  isLocale: () => ({ type: "string", example: "en" }),
+  isISO8601: () => ({ type: "string", example: "2025-01-01" }),
+};
+
+// express-validator implements isString(), isArray(), isObject() and isBoolean({ strict: true }) as
+// anonymous custom validators, so they're recognised by the only kind of value they accept.
+const TYPE_SAMPLES = [
+  ["string", "text"],
+  ["integer", 1],
+  ["boolean", true],
+  ["array", []],
+  ["object", {}],
+];
+const typeCheckedBy = (validator) => {
+  const accepts = (sample) => {
+    try {
+      return validator(sample, {}) === true;
+    } catch (err) {
+      return false;
+    }
+  };
+  const types = TYPE_SAMPLES.filter(([, sample]) => accepts(sample));
+  return types.length === 1 ? types[0][0] : undefined;
+};
+
+// Adds one validator's schema. A second `matches` goes in allOf, a schema only has one pattern.
+const mergeSchema = (schema, extra) => {
+  if (extra.pattern && schema.pattern) {
+    const { pattern, ...rest } = extra;
+    schema.allOf = [...(schema.allOf || []), { pattern }];
+    return Object.assign(schema, rest);
+  }
+  return Object.assign(schema, extra);
+};
+
+// One field of a validation chain: its schema, and whether the request must have it.
+// Error messages go in the description, so the frontend knows what to expect for each field.
+const describeField = (context) => {
+  const schema = {};
+  const messages = [];
+  let conditional = false; // .if(...): only checked in some cases
+
+  for (const item of context.stack) {
+    if (item.chain || item.condition) {
+      conditional = true;
+    } else if (item.validator && item.options) {
+      const name = item.validator.name;
+      if (name === "isEmpty" && item.negated) {
+        mergeSchema(schema, { type: schema.type || "string", minLength: 1 }); // notEmpty()
+      } else if (!item.negated && VALIDATOR_SCHEMAS[name]) {
+        // Validators called without options get [null]
+        const options = item.options.map((option) => option ?? undefined);
+        mergeSchema(schema, VALIDATOR_SCHEMAS[name](...options));
+      }
+    } else if (item.validator && !item.negated) {
+      const type = typeCheckedBy(item.validator);
+      if (type && !schema.type) schema.type = type;
+    } else if (item.sanitizer?.name === "toInt") {
+      schema.type = schema.type || "integer";
+    }
+
+    if (typeof item.message === "string" && !messages.includes(item.message)) {
+      messages.push(item.message);
+    }
+  }
+
+  if (typeof context.message === "string") messages.push(context.message);
+  if (messages.length) schema.description = messages.join("; ");
+
+  return { schema, required: context.optional === false && !conditional };
+};
+
+// Puts a body field in the request body schema: "preferences.theme" under preferences,
+// "permissions.*" as the items of permissions.
+const addBodyField = (bodySchema, field, schema, required) => {
+  let node = bodySchema;
+  const parts = field.split(".");
+
+  parts.forEach((part, i) => {
+    const last = i === parts.length - 1;
+    if (part === "*") {
+      node.items = node.items || {};
+      if (last) Object.assign(node.items, schema);
+      node = node.items;
+      return;
+    }
+
+    node.type = node.type || "object";
+    node.properties = node.properties || {};
+    node.properties[part] = node.properties[part] || {};
+    if (last) {
+      Object.assign(node.properties[part], schema);
+      if (required) node.required = [...(node.required || []), part];
+    }
+    node = node.properties[part];
+  });
+};
+
+// Path, query and body parameters of a route, from its validation chains.
+const describeParameters = (path, handlers) => {
+  const parameters = new Map(
+    [...path.matchAll(/{(\w+)}/g)].map(([, name]) => [
+      `path:${name}`,
+      { name, in: "path", required: true, schema: { type: "string" } },
+    ])
+  );
+  const body = { type: "object" };
+
+  for (const chain of handlers.filter((handler) => handler.builder)) {
+    const context = chain.builder.build();
+    const { schema, required } = describeField(context);
+
+    for (const location of context.locations) {
+      for (const field of context.fields) {
+        if (location === "body") {
+          addBodyField(body, field, { ...schema }, required);
+        } else if (location === "params" || location === "query") {
+          const where = location === "params" ? "path" : "query";
+          const parameter = parameters.get(`${where}:${field}`) || {
+            name: field,
+            in: where,
+            required,
+            schema: {},
+          };
+          const { description, ...fieldSchema } = schema;
+          Object.assign(parameter.schema, fieldSchema);
+          if (description) parameter.description = description;
+          parameters.set(`${where}:${field}`, parameter);
+        }
+      }
+    }
+  }
+
+  return {
+    parameters: [...parameters.values()],
+    body: body.properties ? body : null,
+  };
+};
+
+// ==================== RESPONSES ===============
+// Error responses all share the Error schema; `code` is narrowed to the codes this route can send.
+const errorResponse = (status, codes, note) => ({
+  description: `${STATUS_CODES[status]}: ${codes.join(", ")}${
+    note ? ` (${note})` : ""
+  }`,
+  ...(codes.includes("RATE_LIMITED") && {
+    headers: {
+      "Retry-After": {
+        description: "Seconds until the limit resets",
+        schema: { type: "integer" },
+      },
+    },
+  }),
+  content: {
+    "application/json": {
+      schema: {
+        allOf: [
+          ref("Error"),
+          { type: "object", properties: { code: { enum: codes } } },
+        ],
+      },
+    },
+  },
+});
+
+// "10 requests per 60 minutes"
+const describeLimit = ({ windowMs, max }) =>
+  `${max} requests per ${windowMs / 60000} minutes`;
+
+// Error codes the middleware of a route can answer with, by status.
+const middlewareErrors = (path, handlers, hasBody) => {
+  const errors = {};
+  const add = (status, ...codes) => {
+    errors[status] = [...(errors[status] || []), ...codes];
+  };
+
+  if (hasBody) {
+    add(400, "INVALID_JSON"); // body parser, see middleware/errorHandler.js
+    add(413, "PAYLOAD_TOO_LARGE");
+  }
+  if (handlers.includes(validate)) add(400, "VALIDATION_FAILED");
+  if (handlers.includes(authenticate)) {
+    add(401, "UNAUTHENTICATED", "TOKEN_EXPIRED");
+    add(403, "INVALID_TOKEN");
+  }
+  if (handlers.some((handler) => handler.roles || handler.permissions)) {
+    add(403, "FORBIDDEN");
+  }
+
+  const limits = handlers.filter((handler) => handler.rateLimit);
+  if (limits.length || path.startsWith("/api/")) add(429, "RATE_LIMITED"); // app.js limits all of /api
+
+  return {
+    errors,
+    rateLimitNote: limits
+      .map((handler) => describeLimit(handler.rateLimit))
+      .join(", "),
+  };
+};
+
+// ==================== DOCUMENT ===============
+// GET /api/admin/users/{id} → getAdminUsersById
+const operationId = (method, path) =>
+  method.toLowerCase() +
+  path
+    .replace(/^\/api\//, "/")
+    .split(/[^A-Za-z0-9{}]+/)
+    .filter(Boolean)
+    .map((part) =>
+      part.startsWith("{")
+        ? `By${part[1].toUpperCase()}${part.slice(2, -1)}`
+        : `${part[0].toUpperCase()}${part.slice(1)}`
+    )
+    .join("");
+
+const buildOperation = ({ method, path, handlers }) => {
+  const doc = operations[`${method} ${path}`] || {};
+  const { parameters, body } = describeParameters(path, handlers);
+  const requestBody = doc.body || body;
+  const { errors, rateLimitNote } = middlewareErrors(
+    path,
+    handlers,
+    Boolean(requestBody)
+  );
+
+  // Handler errors after the middleware ones, in the order the statuses come
+  for (const [status, codes] of Object.entries(doc.errors || {})) {
+    errors[status] = [...(errors[status] || []), ...codes];
+  }
+
+  const responses = { ...doc.responses };
+  for (const [status, codes] of Object.entries(errors)) {
+    responses[status] = errorResponse(
+      Number(status),
+      codes,
+      Number(status) === 429 ? rateLimitNote : undefined
+    );
+  }
+
+  const roles = handlers.find((handler) => handler.roles)?.roles;
+  const permissions = handlers.find(
+    (handler) => handler.permissions
+  )?.permissions;
+  const description = [
+    doc.description,
+    permissions && `Permissions: ${permissions.join(", ")}.`,
+    roles && `Roles: ${roles.join(", ")}.`,
+  ].filter(Boolean);
+
+  return {
+    tags: doc.tag ? [doc.tag] : [],
+    summary: doc.summary || `${method} ${path}`,
+    ...(description.length && { description: description.join("\n\n") }),
+    operationId: operationId(method, path),
+    ...(parameters.length && { parameters }),
+    ...(requestBody && {
+      requestBody: {
+        required: Boolean(requestBody.required?.length),
+        content: { "application/json": { schema: requestBody } },
+      },
+    }),
+    responses: Object.fromEntries(
+      Object.entries(responses).sort(([a], [b]) => a - b)
+    ),
+    ...(doc.security
+      ? { security: doc.security }
+      : handlers.includes(authenticate) && { security: [{ bearerAuth: [] }] }),
+    ...(permissions && { "x-permissions": permissions }),
+    ...(roles && { "x-roles": roles }),
+  };
+};
+
+// The whole document for the routers in `mounts` (routes/index.js).
+const buildOpenApiDocument = (mounts) => {
+  const paths = {};
+  for (const route of listRoutes(mounts)) {
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "Leadway API",
+      version,
+      description: [
+        "Every error has the same JSON body: `{ code, message, details? }`. Branch on `code`, `message` is for humans and may change.",
+        "Any route can also answer 500 INTERNAL_ERROR, and 403 CORS_ORIGIN_DENIED for browser requests from an origin that isn't allowed.",
+        "Every `/api` route is rate limited per IP (429 RATE_LIMITED, with a Retry-After header), some more tightly than others.",
+      ].join("\n\n"),
+    },
+    servers: [{ url: config.urls.backend }],
+    tags,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description:
+            "Access token from a sign-in or POST /api/auth/refresh. Signed with ES256 or RS256, keys at /.well-known/jwks.json.",
+        },
+        metricsToken: {
+          type: "http",
+          scheme: "bearer",
+          description: "METRICS_TOKEN, when it is set",
+        },
+      },
+      schemas,
+    },
+  };
+};
+
+module.exports = { buildOpenApiDocument, listRoutes };
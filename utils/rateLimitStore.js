@@ -0,0 +1,46 @@
+// Where the rate limiters (middleware/rateLimiter.js) keep their counters.
+//
+// MemoryStore is the default: counters live in this process, so with several server instances each
+// one counts on its own. For limits shared between instances, pass rateLimit({ store }) any object
+// with the same methods, e.g. backed by Redis:
+//   increment(key, windowMs) → Promise<{ count, resetAt }>   count includes this hit, resetAt is a ms timestamp
+//   decrement(key)           → Promise<void>                   gives one hit back (skipSuccessfulRequests)
+//   reset(key)               → Promise<void>                   forgets the key
+// Each limiter needs its own store (or its own key prefix), otherwise their counts get mixed up.
+
+class MemoryStore {
+  constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+    this.hits = new Map(); // key -> { count, resetAt }
+
+    // Forget keys whose window is over so the map doesn't grow forever. unref() lets the process exit normally.
+    this.cleanup = setInterval(() => {
+      const now = Date.now();
+      for (const [key, entry] of this.hits) {
+        if (entry.resetAt <= now) this.hits.delete(key);
+      }
+    }, cleanupIntervalMs);
+    this.cleanup.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.hits.set(key, entry);
+    }
+    entry.count += 1;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async decrement(key) {
+    const entry = this.hits.get(key);
+    if (entry && entry.count > 0) entry.count -= 1;
+  }
+
+  async reset(key) {
+    this.hits.delete(key);
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,68 @@
+// Shared end of every way to sign in (password, 2FA, magic link, Google, ...), so they all
+// answer with the same response.
+
+const { keyManager } = require("./jwtKeys");
+const { startSession, generateTokens } = require("./tokens");
+const { auditContext } = require("../middleware/audit");
+const rateLimit = require("../middleware/rateLimiter");
+const RATE_LIMITS = require("../config/rateLimits");
+
+// Per IP: only failed attempts count, so a shared office network isn't blocked by normal logins.
+// One counter for every route that checks a password or a code (/signin, /signin/2fa, /magic-link/verify,
+// /2fa/confirm, /2fa/disable), so guesses can't be spread across them.
+const signinIpLimiter = rateLimit({
+  ...RATE_LIMITS.signinFailures,
+  skipSuccessfulRequests: true,
+  message:
+    "Too many failed sign-in attempts from this network, please try again later",
+});
+
+// Hands out a short-lived challenge token that /signin/2fa exchanges (together with a code) for the real tokens.
+const sendTwoFactorChallenge = (user, res) => {
+  const challengeToken = keyManager.sign(
+    { id: user._id, purpose: "2fa_challenge" },
+    { expiresIn: "5m" }
+  );
+  // Not signed in yet: the audit log records the challenge, /signin/2fa records the signin
+  auditContext(res, { type: "signin_challenge", user: user._id });
+  return res.status(200).json({
+    message: "Two-factor authentication required",
+    twoFactorRequired: true,
+    challengeToken,
+  });
+};
+
+// Last step of every successful login (password, password + 2FA, ...): reset the brute-force
+// counters, cancel a pending account deletion, open a session and send the tokens.
+const completeSignin = async (user, req, res) => {
+  // Successful login resets the brute-force counters
+  user.failedLoginAttempts = 0;
+  user.lockCount = 0;
+  user.lockUntil = undefined;
+
+  // Signing in during the deletion grace period keeps the account
+  const deletionCancelled = Boolean(user.deletionScheduledAt);
+  user.deletionScheduledAt = undefined;
+
+  if (user.isModified()) {
+    await user.save();
+  }
+
+  const session = startSession(user, req);
+  auditContext(res, { user: user._id, metadata: { sessionId: session._id } });
+  const { accessToken, refreshToken } = await generateTokens(user, session);
+
+  res.status(200).json({
+    message: "Login Successful",
+    ...(deletionCancelled && { deletionCancelled: true }), // lets the frontend say "welcome back"
+    accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      fullName: user.fullName,
+      email: user.email, // Added email for frontend use
+    },
+  });
+};
+
+module.exports = { completeSignin, sendTwoFactorChallenge, signinIpLimiter };
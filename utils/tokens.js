@@ -0,0 +1,88 @@
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const RefreshToken = require("../models/refreshToken");
+const Session = require("../models/session");
+const { permissionsFor } = require("../config/roles");
+const config = require("../config");
+const { keyManager } = require("./jwtKeys");
+
+//Access Token → used in the frontend to access protected routes (like /profile, /dashboard).
+// Expiry ensures security (if stolen, it’s only valid for a short time).
+// Refresh Token → used to silently get a new access token when the old one expires.
+// Also has an expiry (longer), so the user doesn’t have to log in every hour.
+
+// Access token = 🔑 door key that expires quickly
+// Refresh token = 🏠 master key to get a new door key when the old one expires
+
+// Reset and refresh tokens are stored as a SHA-256 hash so a leaked database can't be used to log in or reset passwords.
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Every login opens a Session (one per browser/phone) that records the device, IP and last use.
+// Not saved yet: generateTokens saves it together with the expiry of its first refresh token, so the
+// TTL index never sees a session without its real expiry.
+const startSession = (user, req) =>
+  new Session({
+    user: user._id,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+  });
+
+// Every refresh token is saved in the RefreshToken collection and tied to a session. All the tokens
+// rotated from one login share that session, so a reused (stolen) token can take down the whole chain.
+const generateTokens = async (user, session) => {
+  const accessToken = keyManager.sign(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      permissions: permissionsFor(user),
+      sid: session._id, // sid lets /sessions flag the current device
+    },
+    { audience: config.jwt.audience, expiresIn: config.jwt.accessExpiresIn }
+  );
+
+  // Only /refresh reads it: the purpose keeps it from working as an access token
+  const refreshToken = keyManager.sign(
+    { id: user._id, email: user.email, sid: session._id, purpose: "refresh" },
+    {
+      expiresIn: config.jwt.refreshExpiresIn,
+      jwtid: crypto.randomUUID(), // makes every refresh token unique, even two issued in the same second
+    }
+  );
+
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  session.expiresAt = expiresAt; // the session lives as long as its newest refresh token
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  await RefreshToken.create({
+    user: user._id,
+    session: session._id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt,
+  });
+
+  return { accessToken, refreshToken };
+};
+
+// Revokes every still-active session matching the filter (one session, or all of a user's sessions)
+// together with their refresh tokens.
+const revokeSessions = async (filter) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select(
+    "_id"
+  );
+  const ids = sessions.map((session) => session._id);
+  const now = new Date();
+
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: now });
+  await RefreshToken.updateMany(
+    { session: { $in: ids }, revokedAt: null },
+    { revokedAt: now }
+  );
+
+  return ids.length;
+};
+
+module.exports = { hashToken, startSession, generateTokens, revokeSessions };
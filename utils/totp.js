@@ -0,0 +1,126 @@
+// Time-based one-time passwords (RFC 6238), the 6-digit codes shown by Google Authenticator, Authy, etc.
+// Pure functions with no database or clock dependency (time can be passed in), so they can be checked
+// against the RFC test vectors offline.
+
+const crypto = require("crypto");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"; // RFC 4648, what authenticator apps expect
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// New random secret, base32 encoded. 20 bytes = 160 bits, the size RFC 4226 recommends for SHA-1.
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+// HOTP (RFC 4226): HMAC the counter, then "dynamic truncation" down to `digits` decimal digits.
+const hotp = (key, counter, { digits = 6, algorithm = "sha1" } = {}) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac(algorithm, key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+// Which 30-second step a point in time falls in.
+const timeStep = (time = Date.now(), step = 30) =>
+  Math.floor(time / 1000 / step);
+
+// TOTP (RFC 6238): HOTP where the counter is the current time step. `key` is a Buffer (decode base32 secrets first).
+const totp = (
+  key,
+  { time = Date.now(), step = 30, digits = 6, algorithm = "sha1" } = {}
+) => hotp(key, timeStep(time, step), { digits, algorithm });
+
+// Checks a code against the current step and `window` steps either side, to allow for clock drift.
+// Returns the matching time step (so callers can refuse to accept the same code twice) or null.
+const verifyTotp = (
+  key,
+  code,
+  {
+    time = Date.now(),
+    step = 30,
+    window = 1,
+    digits = 6,
+    algorithm = "sha1",
+  } = {}
+) => {
+  const given = String(code || "").replace(/\s/g, "");
+  if (!/^\d+$/.test(given) || given.length !== digits) {
+    return null;
+  }
+
+  const current = timeStep(time, step);
+  for (let offset = -window; offset <= window; offset++) {
+    const expected = hotp(key, current + offset, { digits, algorithm });
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) {
+      return current + offset;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// link that authenticator apps read from a QR code.
+// https://github.com/google/google-authenticator/wiki/Key-Uri-Format
+const otpauthURI = ({ secret, label, issuer }) => {
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: "6",
+    period: "30",
+  });
+  return `otpauth://totp/${encodeURIComponent(`${issuer}:${label}`)}?${params}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  hotp,
+  totp,
+  verifyTotp,
+  otpauthURI,
+};
@@ -0,0 +1,47 @@
+// User level two-factor checks on top of utils/totp.js: authenticator codes, replay protection and
+// one-time recovery codes.
+
+const crypto = require("crypto");
+const { base32Decode, verifyTotp } = require("./totp");
+const { hashToken } = require("./tokens");
+
+// Recovery codes look like "3f9a-07c2". Only their SHA-256 hashes are stored.
+const generateRecoveryCodes = (count = 10) =>
+  Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString("hex");
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+
+const hashRecoveryCode = (code) => hashToken(String(code).trim().toLowerCase());
+
+// Checks `code` against the user's authenticator secret, then against the unused recovery codes.
+// Returns "totp", "recovery_code" or null. Updates `user.twoFactor` (last used step, consumed
+// recovery code): the caller must save the user afterwards.
+const checkSecondFactor = (user, code, secret = user.twoFactor.secret) => {
+  if (!secret || !code) {
+    return null;
+  }
+
+  const step = verifyTotp(base32Decode(secret), code);
+  if (step !== null) {
+    // A code can only be used once, even though it stays valid for its whole 30s window
+    if (
+      user.twoFactor.lastUsedStep != null &&
+      step <= user.twoFactor.lastUsedStep
+    ) {
+      return null;
+    }
+    user.twoFactor.lastUsedStep = step;
+    return "totp";
+  }
+
+  const index = user.twoFactor.recoveryCodes.indexOf(hashRecoveryCode(code));
+  if (index !== -1) {
+    user.twoFactor.recoveryCodes.splice(index, 1); // each recovery code works once
+    return "recovery_code";
+  }
+
+  return null;
+};
+
+module.exports = { generateRecoveryCodes, hashRecoveryCode, checkSecondFactor };